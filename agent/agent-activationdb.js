@@ -107,45 +107,46 @@ async function waitForCompletion(activationId) {
     );
 }
 
-// Note: this function is duplicated by all agents
-function hit(args, condition) {
-    if (condition) {
-        console.log("arguments:", args);
-        console.log("evaluating hit condition: ", condition);
-        // eslint-disable-next-line no-with
-        with (args) { // lgtm [js/with-statement]
-            try {
-                // eslint-disable-next-line no-eval
-                return eval(condition);
-            } catch (e) {
-                console.log("failed to eval condition:", e);
-                // be safe: do not hit if error in condition
-                return false;
-            }
-        }
-    } else {
-        // no condition => always hit
-        return true;
-    }
-}
+// hit(args, condition) of the hit condition language, inserted by wskdebug
+/* global hit */
+/* wskdebug: insert agent/condition.js */
+
+// hit policy, invoking the original action, inserted by wskdebug
+/* global missedHitPolicy, debugged, invokeOriginal */
+/* wskdebug: insert agent/common.js */
 
 async function doMain(args) {
     // normal activation: make activation available to debugger
     console.log("activation");
 
+    // fallback policy, only { error } applies to this agent
+    delete args.$fallback;
+    const hitPolicy = args.$hitPolicy;
+    delete args.$hitPolicy;
+    const shadow = args.$shadow;
+    delete args.$shadow;
+
     if (hit(args, args.$condition)) {
+        const missed = missedHitPolicy(hitPolicy);
+        if (missed) {
+            return invokeOriginal(args, missed);
+        }
+        if (shadow) {
+            // the debugger runs a copy in the background, nobody waits for its result
+            console.log("passing copy on to debugger (shadow mode)");
+            await newActivation({ ...args, $wskdebugShadow: true });
+            return invokeOriginal(args, "shadow mode");
+        }
         console.log("passing on to debugger");
         const id = await newActivation(args);
-        return waitForCompletion( id );
+        const result = await waitForCompletion( id );
+        if (result.$wskdebugFallback) {
+            return invokeOriginal(args, `fallback: ${result.$wskdebugFallback}`);
+        }
+        return debugged(result, true);
 
     } else {
-        console.log("condition evaluated to false, executing original action");
-        return openwhisk().actions.invoke({
-            name: `${process.env.__OW_ACTION_NAME}_wskdebug_original`,
-            params: args,
-            blocking: true,
-            result: true
-        });
+        return invokeOriginal(args, "condition evaluated to false");
     }
 }
 
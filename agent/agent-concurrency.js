@@ -22,13 +22,24 @@
 // implemented as global variables of the action so that multiple invocations of this
 // action (agent) can see and wait for each other
 
-const openwhisk = require('openwhisk');
 const os = require("os");
 
 // shared across activations
 const activations = [];
 const completions = {};
 
+// debugger liveness: polls in progress and when it last polled or answered
+let debuggerPolls = 0;
+let debuggerLastSeen = Date.now();
+
+function debuggerSilentMillis() {
+    return debuggerPolls > 0 ? 0 : Date.now() - debuggerLastSeen;
+}
+
+function debuggerGone(heartbeatTimeout) {
+    return heartbeatTimeout > 0 && debuggerSilentMillis() > heartbeatTimeout*1000;
+}
+
 function checkTimeout(deadline) {
     // stop 10 seconds before timeout, to have enough buffer
     if (Date.now() >= ((deadline || process.env.__OW_DEADLINE) - 10*1000)) {
@@ -48,60 +59,80 @@ function newActivation(args) {
     return args.$activationId;
 }
 
-async function waitForActivation() {
+// tells wskdebug to end the session, as this is no longer the agent once it returns
+async function restoredError(watchdog, expired) {
+    await selfRestore(watchdog, expired);
+    const e = new Error(`Agent restored the original action: ${expired}.`);
+    e.code = 44;
+    return e;
+}
+
+async function waitForActivation(watchdog) {
     // blocking invocations only wait for 1 minute, regardless of the action timeout
     const oneMinuteDeadline = Date.now() + 60*1000;
 
     while (activations.length === 0) {
         await sleep(100);
 
+        // deadline can pass while wskdebug is polling
+        const expired = watchdogExpired(watchdog, 0);
+        if (expired) {
+            throw await restoredError(watchdog, expired);
+        }
         checkTimeout(oneMinuteDeadline);
     }
 
     const activation = activations.shift();
     console.log("activation id:", activation.$activationId);
-    return activation;
+    // marks the response as coming from the agent, not the original action
+    return { ...activation, $wskdebugAgent: true };
 }
 
 function complete(result) {
     const id = result.$activationId;
     completions[result.$activationId] = result;
     delete result.$activationId;
+    // default parameters of the agent action, not part of the result
+    delete result.$fallback;
+    delete result.$heartbeatTimeout;
+    delete result.$watchdog;
+    delete result.$hitPolicy;
+    delete result.$shadow;
     return {
         message: `completed activation ${id}`
     };
 }
 
-async function waitForCompletion(activationId) {
+async function waitForCompletion(activationId, pickupTimeout, heartbeatTimeout) {
+    const start = Date.now();
     while (!completions[activationId]) {
         await sleep(100);
+
+        // fallback if the debugger did not pick it up in time or is gone
+        const index = activations.findIndex(a => a.$activationId === activationId);
+        if (pickupTimeout && index >= 0 && Date.now() - start >= pickupTimeout*1000) {
+            activations.splice(index, 1);
+            return { $wskdebugFallback: `not picked up by debugger within ${pickupTimeout} seconds` };
+        }
+        if (debuggerGone(heartbeatTimeout)) {
+            if (index >= 0) {
+                activations.splice(index, 1);
+            }
+            return { $wskdebugFallback: `debugger silent for ${heartbeatTimeout} seconds, treating it as gone` };
+        }
     }
     const result = completions[activationId];
     delete completions[activationId];
     return result;
 }
 
-// Note: this function is duplicated by all agents
-function hit(args, condition) {
-    if (condition) {
-        console.log("arguments:", args);
-        console.log("evaluating hit condition: ", condition);
-        // eslint-disable-next-line no-with
-        with (args) { // lgtm [js/with-statement]
-            try {
-                // eslint-disable-next-line no-eval
-                return eval(condition);
-            } catch (e) {
-                console.log("failed to eval condition:", e);
-                // be safe: do not hit if error in condition
-                return false;
-            }
-        }
-    } else {
-        // no condition => always hit
-        return true;
-    }
-}
+// hit(args, condition) of the hit condition language, inserted by wskdebug
+/* global hit */
+/* wskdebug: insert agent/condition.js */
+
+// hit policy, invoking the original action and the watchdog, inserted by wskdebug
+/* global missedHitPolicy, debugged, invokeOriginal, watchdogExpired, selfRestore */
+/* wskdebug: insert agent/common.js */
 
 async function doMain(args) {
     console.log("hostname:", os.hostname());
@@ -109,29 +140,77 @@ async function doMain(args) {
     if (args.$waitForActivation) {
         // debugger connects and waits for new activations
         console.log("debugger connected, waiting for activation");
-        return waitForActivation();
+        const expired = watchdogExpired(args.$watchdog, 0);
+        if (expired) {
+            throw await restoredError(args.$watchdog, expired);
+        }
+        debuggerPolls++;
+        debuggerLastSeen = Date.now();
+        try {
+            return await waitForActivation(args.$watchdog);
+        } finally {
+            debuggerPolls--;
+            debuggerLastSeen = Date.now();
+        }
+
+    } else if (args.$heartbeat) {
+        // debugger is busy with activations and not polling, but alive
+        debuggerLastSeen = Date.now();
+        return { message: "heartbeat" };
 
     } else if (args.$activationId) {
         // debugger pushes result of completed activation
         console.log("completing activation", args.$activationId);
+        debuggerLastSeen = Date.now();
         return complete(args);
 
     } else {
         // normal activation: make activation available to debugger
         console.log("activation");
 
-        if (hit(args, args.$condition)) {
-            console.log("passing on to debugger");
-            return waitForCompletion( newActivation(args) );
+        // fallback policy: { timeout, queue, error }
+        const fallback = args.$fallback || {};
+        delete args.$fallback;
+        const heartbeatTimeout = args.$heartbeatTimeout;
+        delete args.$heartbeatTimeout;
+        const watchdog = args.$watchdog;
+        delete args.$watchdog;
+        const hitPolicy = args.$hitPolicy;
+        delete args.$hitPolicy;
+        const shadow = args.$shadow;
+        delete args.$shadow;
+
+        const expired = watchdogExpired(watchdog, debuggerSilentMillis());
+        if (expired) {
+            await selfRestore(watchdog, expired);
+            return invokeOriginal(args, expired);
+
+        } else if (!hit(args, args.$condition)) {
+            return invokeOriginal(args, "condition evaluated to false");
+
+        } else if (debuggerGone(heartbeatTimeout)) {
+            return invokeOriginal(args, `debugger silent for ${heartbeatTimeout} seconds, treating it as gone`);
+
+        } else if (fallback.queue !== undefined && activations.length > fallback.queue) {
+            return invokeOriginal(args, `fallback: more than ${fallback.queue} activations waiting for debugger`);
 
         } else {
-            console.log("condition evaluated to false, executing original action");
-            return openwhisk().actions.invoke({
-                name: `${process.env.__OW_ACTION_NAME}_wskdebug_original`,
-                params: args,
-                blocking: true,
-                result: true
-            });
+            const missed = missedHitPolicy(hitPolicy);
+            if (missed) {
+                return invokeOriginal(args, missed);
+            }
+            if (shadow) {
+                // the debugger runs a copy in the background, nobody waits for its result
+                console.log("passing copy on to debugger (shadow mode)");
+                newActivation({ ...args, $wskdebugShadow: true });
+                return invokeOriginal(args, "shadow mode");
+            }
+            console.log("passing on to debugger");
+            const result = await waitForCompletion( newActivation(args), fallback.timeout, heartbeatTimeout );
+            if (result.$wskdebugFallback) {
+                return invokeOriginal(args, `fallback: ${result.$wskdebugFallback}`);
+            }
+            return debugged(result, true);
         }
     }
 }
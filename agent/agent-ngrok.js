@@ -19,36 +19,56 @@
 
 // agent that forwards invocations to the developer's computer using ngrok.com
 
-const openwhisk = require('openwhisk');
 const https = require('https');
 
-// Note: this function is duplicated by all agents
-function hit(args, condition) {
-    if (condition) {
-        console.log("arguments:", args);
-        console.log("evaluating hit condition: ", condition);
-        // eslint-disable-next-line no-with
-        with (args) { // lgtm [js/with-statement]
-            try {
-                // eslint-disable-next-line no-eval
-                return eval(condition);
-            } catch (e) {
-                console.log("failed to eval condition:", e);
-                // be safe: do not hit if error in condition
-                return false;
-            }
-        }
-    } else {
-        // no condition => always hit
-        return true;
-    }
+// when this container last found the debugger gone, to pass on activations straight away for a while
+let debuggerGoneAt = 0;
+// when this container first found the debugger gone, 0 while it answers
+let debuggerGoneSince = 0;
+
+function debuggerGoneError(message) {
+    const e = new Error(message);
+    e.debuggerGone = true;
+    return e;
 }
 
+// hit(args, condition) of the hit condition language, inserted by wskdebug
+/* global hit */
+/* wskdebug: insert agent/condition.js */
+
+// hit policy, invoking the original action and the watchdog, inserted by wskdebug
+/* global missedHitPolicy, debugged, invokeOriginal, watchdogExpired, selfRestore */
+/* wskdebug: insert agent/common.js */
+
 async function doMain(args) {
     // normal activation: make activation available to debugger
     console.log("activation");
 
-    if (hit(args, args.$condition) && args.$ngrokUrl) {
+    // fallback policy, only { error } applies to this agent
+    delete args.$fallback;
+    const heartbeatTimeout = args.$heartbeatTimeout;
+    delete args.$heartbeatTimeout;
+    const watchdog = args.$watchdog;
+    delete args.$watchdog;
+    const hitPolicy = args.$hitPolicy;
+    delete args.$hitPolicy;
+
+    const expired = watchdogExpired(watchdog, debuggerGoneSince ? Date.now() - debuggerGoneSince : 0);
+    if (expired) {
+        await selfRestore(watchdog, expired);
+        return invokeOriginal(args, expired);
+
+    } else if (!hit(args, args.$condition) || !args.$ngrokUrl) {
+        return invokeOriginal(args, "condition evaluated to false (or $ngrokUrl missing)");
+
+    } else if (heartbeatTimeout > 0 && Date.now() - debuggerGoneAt < heartbeatTimeout*1000) {
+        return invokeOriginal(args, `debugger gone within the last ${heartbeatTimeout} seconds`);
+
+    } else {
+        const missed = missedHitPolicy(hitPolicy);
+        if (missed) {
+            return invokeOriginal(args, missed);
+        }
         console.log("passing on to debugger");
 
         console.log("post to ngrok", args.$ngrokUrl);
@@ -61,41 +81,60 @@ async function doMain(args) {
                 authorization: args.$ngrokAuth
             }
         };
-        return new Promise((resolve, reject) => {
-            const req = https.request(options, (resp) => {
-                console.log("response: ", resp.statusCode);
-                let body = '';
-
-                // A chunk of data has been received.
-                resp.on('data', (chunk) => {
-                    body += chunk;
-                });
+        let result;
+        try {
+            result = await new Promise((resolve, reject) => {
+                const req = https.request(options, (resp) => {
+                    console.log("response: ", resp.statusCode);
+                    let body = '';
 
-                // The whole response has been received. Print out the result.
-                resp.on('end', () => {
-                    resolve(JSON.parse(body));
-                });
+                    // A chunk of data has been received. Whitespace only is a heartbeat.
+                    resp.on('data', (chunk) => {
+                        body += chunk;
+                    });
 
-            });
-            req.on("error", err => {
-                console.error(err);
-                reject(err);
-            });
-            args.$activationId = process.env.__OW_ACTIVATION_ID;
-            delete args.$ngrokUrl;
-            delete args.$ngrokAuth;
-            req.write(JSON.stringify(args));
-            req.end();
-        });
+                    // The whole response has been received. Print out the result.
+                    resp.on('end', () => {
+                        if (resp.statusCode === 404) {
+                            // ngrok tunnel is gone
+                            reject(debuggerGoneError(`debugger not reachable (${resp.statusCode})`));
+                            return;
+                        }
+                        resolve(JSON.parse(body));
+                    });
 
-    } else {
-        console.log("condition evaluated to false (or $ngrokUrl missing), executing original action");
-        return openwhisk().actions.invoke({
-            name: `${process.env.__OW_ACTION_NAME}_wskdebug_original`,
-            params: args,
-            blocking: true,
-            result: true
-        });
+                });
+                req.on("error", err => {
+                    console.error(err);
+                    reject(Object.assign(err, { debuggerGone: true }));
+                });
+                if (heartbeatTimeout > 0) {
+                    // debugger sends heartbeats while running the activation
+                    req.setTimeout(heartbeatTimeout*1000, () => {
+                        req.destroy(debuggerGoneError(`debugger silent for ${heartbeatTimeout} seconds`));
+                    });
+                }
+                args.$activationId = process.env.__OW_ACTIVATION_ID;
+                delete args.$ngrokUrl;
+                delete args.$ngrokAuth;
+                req.write(JSON.stringify(args));
+                req.end();
+            });
+        } catch (e) {
+            if (e.debuggerGone) {
+                debuggerGoneSince = debuggerGoneSince || Date.now();
+            }
+            if (heartbeatTimeout > 0 && e.debuggerGone) {
+                debuggerGoneAt = Date.now();
+                return invokeOriginal(args, `${e.message}, treating it as gone`);
+            }
+            throw e;
+        }
+        debuggerGoneSince = 0;
+        if (result.$wskdebugFallback) {
+            return invokeOriginal(args, `fallback: ${result.$wskdebugFallback}`);
+        }
+        return debugged(result, true);
     }
 }
 
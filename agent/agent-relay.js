@@ -0,0 +1,129 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable strict */
+
+// agent that forwards invocations to the developer's computer through a self-hosted relay (relay/relay.js)
+
+const http = require('http');
+const https = require('https');
+
+// hit(args, condition) of the hit condition language, inserted by wskdebug
+/* global hit */
+/* wskdebug: insert agent/condition.js */
+
+// hit policy, invoking the original action, inserted by wskdebug
+/* global missedHitPolicy, debugged, invokeOriginal */
+/* wskdebug: insert agent/common.js */
+
+async function doMain(args) {
+    // normal activation: make activation available to debugger
+    console.log("activation");
+
+    // fallback policy: { timeout, queue, error }, the relay handles timeout and queue
+    const fallback = args.$fallback || {};
+    delete args.$fallback;
+    const hitPolicy = args.$hitPolicy;
+    delete args.$hitPolicy;
+    const shadow = args.$shadow;
+    delete args.$shadow;
+    // relay connection, not passed on to the original action
+    const relayUrl = args.$relayUrl;
+    delete args.$relayUrl;
+    const relayAuth = args.$relayAuth;
+    delete args.$relayAuth;
+    const relaySecret = args.$relaySecret;
+    delete args.$relaySecret;
+
+    if (hit(args, args.$condition) && relayUrl) {
+        const missed = missedHitPolicy(hitPolicy);
+        if (missed) {
+            return invokeOriginal(args, missed);
+        }
+        // shadow mode: the debugger runs a copy in the background, the relay does not wait for its result
+        console.log(shadow ? "passing copy on to debugger (shadow mode)" : "passing on to debugger");
+
+        console.log("post to relay", relayUrl);
+        const url = new URL(`${relayUrl}/activations`);
+        if (fallback.timeout !== undefined) {
+            url.searchParams.set("pickupTimeout", fallback.timeout);
+        }
+        if (fallback.queue !== undefined) {
+            url.searchParams.set("maxQueue", fallback.queue);
+        }
+        if (shadow) {
+            url.searchParams.set("shadow", "true");
+        }
+        const options = {
+            method: 'POST',
+            headers: {
+                authorization: relayAuth,
+                'x-wskdebug-relay-secret': relaySecret,
+                'content-type': 'application/json'
+            }
+        };
+        const client = url.protocol === "https:" ? https : http;
+        const result = await new Promise((resolve, reject) => {
+            const req = client.request(url, options, (resp) => {
+                console.log("response: ", resp.statusCode);
+                let body = '';
+
+                // A chunk of data has been received.
+                resp.on('data', (chunk) => {
+                    body += chunk;
+                });
+
+                // The whole response has been received. Print out the result.
+                resp.on('end', () => {
+                    if (resp.statusCode !== 200 && resp.statusCode !== 202) {
+                        reject(new Error(`Relay responded with ${resp.statusCode}: ${body}`));
+                        return;
+                    }
+                    resolve(JSON.parse(body));
+                });
+
+            });
+            req.on("error", err => {
+                console.error(err);
+                reject(err);
+            });
+            args.$activationId = process.env.__OW_ACTIVATION_ID;
+            req.write(JSON.stringify(shadow ? { ...args, $wskdebugShadow: true } : args));
+            req.end();
+        });
+        if (result.$wskdebugFallback) {
+            return invokeOriginal(args, `fallback: ${result.$wskdebugFallback}`);
+        } else if (shadow) {
+            return invokeOriginal(args, "shadow mode");
+        }
+        return debugged(result, true);
+
+    } else {
+        return invokeOriginal(args, "condition evaluated to false (or $relayUrl missing)");
+    }
+}
+
+// OpenWhisk does not like raw exceptions, the error object should be the string message only
+// eslint-disable-next-line no-unused-vars
+async function main(args) {
+    try {
+        return await doMain(args);
+    } catch (e) {
+        console.log("Exception:", e);
+        return Promise.reject({ error: e.message, code: e.code});
+    }
+}
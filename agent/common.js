@@ -0,0 +1,128 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable strict */
+
+// helpers shared by all agent actions: hit policy, invoking the original action and the watchdog.
+//
+// The code above the exports is inserted into the agent actions by Agent.insertSharedCode(),
+// so it must not declare anything the agents declare themselves, such as openwhisk.
+
+// hit policy: { first, every, percent, window: { from, until } }, returns why the activation is not debugged, if so.
+// Counters are per container, and counted without any await in between so that
+// concurrent activations each get their own number.
+const hitCounters = { matched: 0, debugged: 0 };
+function missedHitPolicy(policy) {
+    if (!policy) {
+        return;
+    }
+    const now = Date.now();
+    if (policy.window && (now < policy.window.from || now > policy.window.until)) {
+        return "outside of hit window";
+    }
+    hitCounters.matched++;
+    if (policy.every && hitCounters.matched % policy.every !== 0) {
+        return `only every ${policy.every}. activation is debugged`;
+    }
+    if (policy.percent !== undefined && Math.random() * 100 >= policy.percent) {
+        return `only ${policy.percent}% of activations are debugged`;
+    }
+    if (policy.first !== undefined && hitCounters.debugged >= policy.first) {
+        return `first ${policy.first} activations already debugged`;
+    }
+    hitCounters.debugged++;
+}
+
+// flag in each response whether the debugger was involved
+function debugged(result, flag) {
+    if (result && typeof result === "object") {
+        result.$wskdebugDebugged = flag;
+    }
+    return result;
+}
+
+async function invokeOriginal(args, reason) {
+    console.log(`${reason}, executing original action`);
+    delete args.$activationId;
+    return debugged(await require('openwhisk')().actions.invoke({
+        name: `${process.env.__OW_ACTION_NAME}_wskdebug_original`,
+        params: args,
+        blocking: true,
+        result: true
+    }), false);
+}
+
+function getAnnotation(action, key) {
+    const a = (action.annotations || []).find(a => a.key === key);
+    return a ? a.value : undefined;
+}
+
+// same check as isAgent() in wskdebug
+function isAgent(action) {
+    return getAnnotation(action, "wskdebug") ||
+           (getAnnotation(action, "description") || "").startsWith("wskdebug agent.");
+}
+
+// watchdog: { started, deadline, silence }, returns why the session is over, if it is
+// only checked on activations and polls, silentMillis is as seen by this container
+function watchdogExpired(watchdog, silentMillis) {
+    if (!watchdog) {
+        return;
+    }
+    if (watchdog.deadline && Date.now() > watchdog.deadline) {
+        return "session deadline passed";
+    }
+    if (watchdog.silence && silentMillis > watchdog.silence*1000) {
+        return `debugger silent for more than ${watchdog.silence} seconds`;
+    }
+}
+
+// restore the original action from the backup, unless someone deployed over this agent in the meantime
+let restoring;
+function selfRestore(watchdog, reason) {
+    if (!restoring) {
+        restoring = (async () => {
+            console.log(`${reason}, restoring original action`);
+            const wsk = require('openwhisk')();
+            const name = process.env.__OW_ACTION_NAME;
+
+            const current = await wsk.actions.get({ name: name, code: false });
+            if (!isAgent(current) || getAnnotation(current, "wskdebug-started") !== watchdog.started) {
+                console.log("action was deployed again in the meantime, not restoring");
+                return;
+            }
+            const original = await wsk.actions.get(`${name}_wskdebug_original`);
+            if (isAgent(original)) {
+                console.log("action backup is an agent as well, not restoring");
+                return;
+            }
+            await wsk.actions.update({ name: name, action: original });
+            console.log("restored original action");
+        })().catch(e => console.log("failed to restore original action:", e));
+    }
+    return restoring;
+}
+
+// exports for wskdebug, not part of the code inserted into agents
+module.exports = {
+    missedHitPolicy,
+    debugged,
+    invokeOriginal,
+    isAgent,
+    watchdogExpired,
+    selfRestore
+};
@@ -0,0 +1,349 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable strict */
+
+// hit condition language, evaluated against the activation parameters without eval():
+//
+//     __ow_headers['x-debug'] == 'true' && user.name in ['alice', 'bob']
+//     path =~ /^\/api\//i || !(count > 10)
+//
+// Supports literals, nested paths, comparisons, && || !, regex matches (=~ and !~),
+// `in` lists and a few string and array methods such as includes().
+//
+// Used by wskdebug to validate conditions. The code above the exports is inserted
+// into the agent actions by Agent.insertSharedCode().
+
+const CONDITION_OPERATORS = ["===", "!==", "==", "!=", "<=", ">=", "=~", "!~", "&&", "||", "<", ">", "!", "(", ")", "[", "]", ".", ","];
+const CONDITION_COMPARISONS = ["===", "!==", "==", "!=", "<=", ">=", "<", ">", "=~", "!~", "in"];
+const CONDITION_LITERALS = { true: true, false: false, null: null, undefined: undefined };
+
+// side effect free methods that can be called on values
+const CONDITION_METHODS = {
+    string: ["includes", "startsWith", "endsWith", "indexOf", "toLowerCase", "toUpperCase", "trim"],
+    array: ["includes", "indexOf"]
+};
+
+function conditionError(message, pos) {
+    return new Error(`${message} at position ${pos + 1}`);
+}
+
+function tokenizeCondition(condition) {
+    const tokens = [];
+    let pos = 0;
+    while (pos < condition.length) {
+        const c = condition[pos];
+        const start = pos;
+
+        if (/\s/.test(c)) {
+            pos++;
+
+        } else if (/[0-9]/.test(c) || (c === "-" && /[0-9]/.test(condition[pos + 1] || ""))) {
+            const match = /^-?[0-9]+(\.[0-9]+)?/.exec(condition.substring(pos));
+            tokens.push({ type: "literal", value: Number(match[0]), pos: start });
+            pos += match[0].length;
+
+        } else if (c === "'" || c === '"') {
+            let value = "";
+            pos++;
+            while (condition[pos] !== c) {
+                if (pos >= condition.length) {
+                    throw conditionError("Unterminated string", start);
+                }
+                if (condition[pos] === "\\") {
+                    pos++;
+                }
+                value += condition[pos];
+                pos++;
+            }
+            pos++;
+            tokens.push({ type: "literal", value: value, pos: start });
+
+        } else if (c === "/") {
+            // regex, there is no division
+            let inClass = false;
+            pos++;
+            while (inClass || condition[pos] !== "/") {
+                if (pos >= condition.length) {
+                    throw conditionError("Unterminated regular expression", start);
+                }
+                if (condition[pos] === "\\") {
+                    pos++;
+                } else if (condition[pos] === "[") {
+                    inClass = true;
+                } else if (condition[pos] === "]") {
+                    inClass = false;
+                }
+                pos++;
+            }
+            const pattern = condition.substring(start + 1, pos);
+            pos++;
+            const flags = /^[imsu]*/.exec(condition.substring(pos))[0];
+            pos += flags.length;
+            try {
+                new RegExp(pattern, flags);
+            } catch (e) {
+                throw conditionError(`Invalid regular expression /${pattern}/${flags}`, start);
+            }
+            tokens.push({ type: "regex", pattern: pattern, flags: flags, pos: start });
+
+        } else if (/[A-Za-z_$]/.test(c)) {
+            const name = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(condition.substring(pos))[0];
+            if (Object.prototype.hasOwnProperty.call(CONDITION_LITERALS, name)) {
+                tokens.push({ type: "literal", value: CONDITION_LITERALS[name], pos: start });
+            } else if (name === "in") {
+                tokens.push({ type: "op", value: name, pos: start });
+            } else {
+                tokens.push({ type: "name", value: name, pos: start });
+            }
+            pos += name.length;
+
+        } else {
+            const op = CONDITION_OPERATORS.find(op => condition.startsWith(op, pos));
+            if (!op) {
+                throw conditionError(`Unexpected character '${c}'`, start);
+            }
+            tokens.push({ type: "op", value: op, pos: start });
+            pos += op.length;
+        }
+    }
+    tokens.push({ type: "end", pos: condition.length });
+    return tokens;
+}
+
+// condition string => syntax tree, throws on invalid conditions
+function parseCondition(condition) {
+    const tokens = tokenizeCondition(condition);
+    let i = 0;
+
+    const peek = () => tokens[i];
+    const isOp = (value) => tokens[i].type === "op" && tokens[i].value === value;
+    const unexpected = (token) => conditionError(token.type === "end" ? "Unexpected end of condition" : `Unexpected '${condition.substring(token.pos).split(/\s/)[0]}'`, token.pos);
+    const expectOp = (value) => {
+        if (!isOp(value)) {
+            throw unexpected(peek());
+        }
+        i++;
+    };
+
+    // comma separated expressions up to the closing bracket
+    function parseItems(closing) {
+        const items = [];
+        if (!isOp(closing)) {
+            items.push(parseOr());
+            while (isOp(",")) {
+                i++;
+                items.push(parseOr());
+            }
+        }
+        expectOp(closing);
+        return items;
+    }
+
+    function parsePrimary() {
+        const token = tokens[i++];
+        if (token.type === "literal") {
+            return { type: "literal", value: token.value };
+        } else if (token.type === "regex") {
+            return { type: "regex", pattern: token.pattern, flags: token.flags };
+        } else if (token.type === "name") {
+            return { type: "name", name: token.value };
+        } else if (token.type === "op" && token.value === "(") {
+            const expr = parseOr();
+            expectOp(")");
+            return expr;
+        } else if (token.type === "op" && token.value === "[") {
+            return { type: "list", items: parseItems("]") };
+        }
+        throw unexpected(token);
+    }
+
+    function parseMember() {
+        let expr = parsePrimary();
+        for (;;) {
+            if (isOp(".")) {
+                i++;
+                const token = tokens[i++];
+                if (token.type !== "name") {
+                    throw unexpected(token);
+                }
+                if (isOp("(")) {
+                    i++;
+                    if (!CONDITION_METHODS.string.includes(token.value) && !CONDITION_METHODS.array.includes(token.value)) {
+                        throw conditionError(`Unsupported method '${token.value}()'`, token.pos);
+                    }
+                    expr = { type: "call", object: expr, method: token.value, args: parseItems(")") };
+                } else {
+                    expr = { type: "member", object: expr, property: { type: "literal", value: token.value } };
+                }
+            } else if (isOp("[")) {
+                i++;
+                const property = parseOr();
+                expectOp("]");
+                expr = { type: "member", object: expr, property: property };
+            } else {
+                return expr;
+            }
+        }
+    }
+
+    function parseComparison() {
+        const left = parseMember();
+        const token = peek();
+        if (token.type === "op" && CONDITION_COMPARISONS.includes(token.value)) {
+            i++;
+            return { type: "binary", op: token.value, left: left, right: parseMember() };
+        }
+        return left;
+    }
+
+    function parseNot() {
+        if (isOp("!")) {
+            i++;
+            return { type: "not", arg: parseNot() };
+        }
+        return parseComparison();
+    }
+
+    function parseAnd() {
+        let expr = parseNot();
+        while (isOp("&&")) {
+            i++;
+            expr = { type: "binary", op: "&&", left: expr, right: parseNot() };
+        }
+        return expr;
+    }
+
+    function parseOr() {
+        let expr = parseAnd();
+        while (isOp("||")) {
+            i++;
+            expr = { type: "binary", op: "||", left: expr, right: parseAnd() };
+        }
+        return expr;
+    }
+
+    const tree = parseOr();
+    if (peek().type !== "end") {
+        throw unexpected(peek());
+    }
+    return tree;
+}
+
+// only own properties, so that conditions cannot reach into prototypes
+function getConditionProperty(object, property) {
+    if (object === null || object === undefined) {
+        return undefined;
+    }
+    if ((typeof object === "string" || Array.isArray(object)) && property === "length") {
+        return object.length;
+    }
+    if (typeof object === "object" && Object.prototype.hasOwnProperty.call(object, property)) {
+        return object[property];
+    }
+    return undefined;
+}
+
+function callConditionMethod(object, method, args) {
+    if (typeof object === "string" && CONDITION_METHODS.string.includes(method)) {
+        return String.prototype[method].apply(object, args);
+    }
+    if (Array.isArray(object) && CONDITION_METHODS.array.includes(method)) {
+        return Array.prototype[method].apply(object, args);
+    }
+    return undefined;
+}
+
+function matchesCondition(value, regex) {
+    if (regex instanceof RegExp) {
+        return value !== undefined && value !== null && regex.test(String(value));
+    }
+    return false;
+}
+
+// syntax tree from parseCondition() + activation parameters => value
+function evaluateCondition(node, args) {
+    const evaluate = node => evaluateCondition(node, args);
+
+    switch (node.type) {
+    case "literal":
+        return node.value;
+    case "regex":
+        return new RegExp(node.pattern, node.flags);
+    case "list":
+        return node.items.map(evaluate);
+    case "name":
+        return getConditionProperty(args, node.name);
+    case "member":
+        return getConditionProperty(evaluate(node.object), evaluate(node.property));
+    case "call":
+        return callConditionMethod(evaluate(node.object), node.method, node.args.map(evaluate));
+    case "not":
+        return !evaluate(node.arg);
+    case "binary": {
+        // short circuit like javascript
+        if (node.op === "&&") {
+            return evaluate(node.left) && evaluate(node.right);
+        } else if (node.op === "||") {
+            return evaluate(node.left) || evaluate(node.right);
+        }
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        switch (node.op) {
+        case "===": return left === right;
+        case "!==": return left !== right;
+        // eslint-disable-next-line eqeqeq
+        case "==": return left == right;
+        // eslint-disable-next-line eqeqeq
+        case "!=": return left != right;
+        case "<": return left < right;
+        case "<=": return left <= right;
+        case ">": return left > right;
+        case ">=": return left >= right;
+        case "=~": return matchesCondition(left, right);
+        case "!~": return !matchesCondition(left, right);
+        case "in": return Array.isArray(right) && right.includes(left);
+        }
+    }
+    }
+    throw new Error(`Unknown condition node '${node.type}'`);
+}
+
+// Note: this function is inserted into all agents
+function hit(args, condition) {
+    if (condition) {
+        console.log("arguments:", args);
+        console.log("evaluating hit condition: ", condition);
+        try {
+            return !!evaluateCondition(parseCondition(condition), args);
+        } catch (e) {
+            console.log("failed to evaluate condition:", e);
+            // be safe: do not hit if error in condition
+            return false;
+        }
+    } else {
+        // no condition => always hit
+        return true;
+    }
+}
+
+// exports for wskdebug, not part of the code inserted into agents
+module.exports = {
+    parseCondition,
+    evaluateCondition,
+    hit
+};
@@ -17,8 +17,14 @@
 
 'use strict';
 
-const yargs = require("yargs");
+const yargs = require("yargs/yargs");
+const yargsParser = require("yargs-parser");
 const Debugger = require("./src/debugger");
+const restore = require("./src/commands/restore");
+const cleanup = require("./src/commands/cleanup");
+const status = require("./src/commands/status");
+const doctor = require("./src/commands/doctor");
+const config = require("./src/config");
 const path = require("path");
 const fs = require("fs");
 const log = require('./src/log');
@@ -36,9 +42,100 @@ function getSupportedKinds() {
     return kinds;
 }
 
+function usage() {
+    return `$0 [action] [source-path]
+
+.            ____      ___                   _    _ _     _     _
+.           /\\   \\    / _ \\ _ __   ___ _ __ | |  | | |__ (_)___| | __
+.      /\\  /__\\   \\  | | | | '_ \\ / _ \\ '_ \\| |  | | '_ \\| / __| |/ /
+.     /  \\____ \\  /  | |_| | |_) |  __/ | | | |/\\| | | | | \\__ \\   <
+.     \\   \\  /  \\/    \\___/| .__/ \\___|_| |_|__/\\__|_| |_|_|___/_|\\_\\
+.      \\___\\/ tm           |_|
+
+.                              W S K D E B U G
+
+Debug an Apache OpenWhisk <action> by forwarding its activations to a local docker
+container that has debugging enabled and its debug port exposed to the host.
+
+If only <action> is specified, the deployed action code is debugged.
+To debug an action named like a command below, e.g. status, use: wskdebug -- status
+
+If [source-path] is set, it must point to the local action sources which will be mounted
+into the debug container. Sources will be automatically reloaded on each new activation.
+This feature depends on the kind.
+
+Supported kinds:
+- ${getSupportedKinds().join("\n")}
+`;
+}
+
+function generalOptions(yargs) {
+    yargs.option("v", {
+        alias: "verbose",
+        type: "boolean",
+        describe: "Verbose output. Logs activation parameters and result"
+    });
+    yargs.option("q", {
+        alias: "quiet",
+        type: "boolean",
+        describe: "Quiet mode. Only output logs from action container."
+    });
+}
+
+// options for all commands other than the default debug command
+function commandOptions(yargs) {
+    yargs.option("ignore-certs", {
+        type: "boolean",
+        describe: "Bypass TLS certificate checking for openwhisk requests."
+    });
+    generalOptions(yargs);
+}
+
+function restoreOptions(yargs) {
+    yargs.positional('action', {
+        describe: 'Name of action to restore. Multiple actions can be separated by commas.',
+        type: 'string'
+    });
+    yargs.option("cleanup", {
+        type: "boolean",
+        describe: "Also remove the backup and any helper actions."
+    });
+    yargs.option("force", {
+        type: "boolean",
+        describe: "Restore even if the agent belongs to another wskdebug session that might still be running."
+    });
+    commandOptions(yargs);
+}
+
+function cleanupOptions(yargs) {
+    yargs.option("y", {
+        alias: "yes",
+        type: "boolean",
+        describe: "Do not ask, apply the proposed change to each leftover: restore agents, delete backups and helper actions."
+    });
+    yargs.option("force", {
+        type: "boolean",
+        describe: "Also restore agents of other wskdebug sessions that might still be running, which are skipped otherwise."
+    });
+    commandOptions(yargs);
+}
+
+function doctorOptions(yargs) {
+    yargs.positional('action', {
+        describe: 'Name of action to check, otherwise checks the default Node.js kind',
+        type: 'string'
+    });
+    yargs.option("p", {
+        alias: "port",
+        type: "number",
+        describe: "Debug port to check. Defaults to standard debug port of the kind."
+    });
+    commandOptions(yargs);
+}
+
 function yargsOptions(yargs) {
     yargs.positional('action', {
-        describe: 'Name of action to debug',
+        describe: 'Name of action to debug. Multiple actions can be separated by commas. Wildcards such as mypackage/* debug all matching actions.',
         type: 'string'
     });
     yargs.positional('source-path', {
@@ -122,7 +219,7 @@ function yargsOptions(yargs) {
         alias: "port",
         type: "number",
         group: "Debugger options:",
-        describe: "Debug port exposed from container that debugging clients connect to. Defaults to --internal-port if set or standard debug port of the kind. Node.js arguments --inspect and co. can be used too."
+        describe: "Debug port exposed from container that debugging clients connect to. Defaults to --internal-port if set or standard debug port of the kind. Node.js arguments --inspect and co. can be used too. With multiple actions, this is the base port counting up for each action."
     });
     yargs.option("internal-port", {
         type: "number",
@@ -144,40 +241,161 @@ function yargsOptions(yargs) {
         group: "Debugger options:",
         describe: "Shell command to run when debugger is up"
     });
+    yargs.option("record", {
+        type: "string",
+        group: "Debugger options:",
+        describe: "Record each activation with parameters, result and container logs as json file in this directory. Use --replay to run them again."
+    });
+    yargs.option("repl", {
+        type: "boolean",
+        group: "Debugger options:",
+        describe: "Interactive prompt to run activations on the local container, with json parameters or a file, or again with the (edited) parameters of the last activation."
+    });
 
     // Agent options
     yargs.option("c", {
         alias: "condition",
         type: "string",
         group: "Agent options:",
-        describe: "Hit condition to trigger debugger. Javascript expression evaluated against input parameters. Example: `debug == 'true'`"
+        describe: "Hit condition to trigger debugger, evaluated against input parameters. Supports comparisons, && || !, =~ /regex/, in [lists] and paths. Example: `debug == 'true'`"
+    });
+    yargs.option("hit-first", {
+        type: "number",
+        group: "Agent options:",
+        describe: "Only debug the first n activations matching the condition, invoke the original action for the rest."
+    });
+    yargs.option("hit-every", {
+        type: "number",
+        group: "Agent options:",
+        describe: "Only debug every n-th activation matching the condition."
+    });
+    yargs.option("hit-percent", {
+        type: "number",
+        group: "Agent options:",
+        describe: "Only debug a random percentage (0-100) of the activations matching the condition."
+    });
+    yargs.option("hit-window", {
+        type: "string",
+        group: "Agent options:",
+        describe: "Only debug activations within this local time window. Example: 14:00-15:30"
+    });
+    yargs.option("shadow", {
+        type: "boolean",
+        group: "Agent options:",
+        describe: "Shadow mode: callers always get the result of the original action, the debugger runs a copy of the activations in the background."
+    });
+    yargs.option("compare", {
+        type: "boolean",
+        group: "Agent options:",
+        describe: "Also invoke the original action with the same parameters and print the differences to the local result."
+    });
+    yargs.option("compare-result", {
+        type: "string",
+        choices: ["local", "original"],
+        group: "Agent options:",
+        describe: "Result returned to the caller with --compare. Default: local"
+    });
+    yargs.option("fallback-timeout", {
+        type: "number",
+        group: "Agent options:",
+        describe: "Invoke the original action instead if the debugger has not picked up an activation within this many seconds."
+    });
+    yargs.option("fallback-queue", {
+        type: "number",
+        group: "Agent options:",
+        describe: "Invoke the original action instead if more than this many activations are already waiting for the debugger."
+    });
+    yargs.option("fallback-on-error", {
+        type: "boolean",
+        group: "Agent options:",
+        describe: "Invoke the original action instead if the local container fails to load the action or crashes."
+    });
+    yargs.option("heartbeat-timeout", {
+        type: "number",
+        group: "Agent options:",
+        describe: "Invoke the original action instead if wskdebug has been silent for this many seconds, e.g. because it was killed. 0 to disable. Default: 30 sec"
+    });
+    yargs.option("self-restore-deadline", {
+        type: "number",
+        group: "Agent options:",
+        describe: "Agent restores the original action by itself this many minutes after the start, in case wskdebug cannot. 0 to disable. Default: 12 hours"
+    });
+    yargs.option("self-restore-silence", {
+        type: "number",
+        group: "Agent options:",
+        describe: "Agent restores the original action by itself if wskdebug has been silent for this many minutes. 0 to disable. Default: 10 min"
     });
     yargs.option("agent-timeout", {
         type: "number",
         group: "Agent options:",
-        describe: "Debugging agent timeout (seconds). Default: 5 min"
+        describe: "Debugging agent timeout (seconds). Default: maximum action duration allowed by OpenWhisk, which can be hours, or 5 min if OpenWhisk does not report it"
+    });
+    yargs.option("agent", {
+        type: "string",
+        group: "Agent options:",
+        describe: "Agent forwarding activations: 'concurrency' (default, falls back to 'activationdb' if not supported), 'activationdb', 'ngrok', 'relay' or path or npm package of an agent plugin."
     });
     yargs.option("ngrok", {
         type: "boolean",
         group: "Agent options:",
-        describe: "Use 3rd party service ngrok.com for agent forwarding."
+        describe: "Use 3rd party service ngrok.com for agent forwarding. Same as --agent ngrok."
     });
     yargs.option("ngrok-region", {
         type: "string",
         group: "Agent options:",
         describe: "Ngrok region to use. Defaults to 'us'."
     });
+    yargs.option("relay-url", {
+        type: "string",
+        group: "Agent options:",
+        describe: "Use a self-hosted relay for agent forwarding, e.g. https://relay.example.com. Start the relay using wskdebug-relay. Same as --agent relay."
+    });
+    yargs.option("relay-secret", {
+        type: "string",
+        group: "Agent options:",
+        describe: "Shared secret of the relay set using --relay-url. Default: WSKDEBUG_RELAY_SECRET environment variable."
+    });
     yargs.option("cleanup", {
         type: "boolean",
         group: "Agent options:",
         describe: "Remove backup and any helper actions on exit. Makes shutdown slower."
     });
+    yargs.option("force", {
+        type: "boolean",
+        group: "Agent options:",
+        describe: "Take over actions being debugged by another wskdebug session, e.g. if that session is no longer running."
+    });
     yargs.option("ignore-certs", {
         type: "boolean",
         group: "Agent options:",
         describe: "Bypass TLS certificate checking for openwhisk requests."
     });
 
+    // local mode
+    yargs.option("local", {
+        type: "boolean",
+        group: "Local mode options:",
+        describe: "Run activations only locally, from --params, stdin or a prompt. Does not install an agent and leaves the deployed action untouched."
+    });
+    yargs.option("params", {
+        type: "string",
+        implies: "local",
+        group: "Local mode options:",
+        describe: "Activation parameters as json string or name of json file. Default on the prompt, otherwise run once on start."
+    });
+    yargs.option("replay", {
+        type: "string",
+        implies: "local",
+        group: "Local mode options:",
+        describe: "Run activations recorded with --record, from a single json file or a directory. Empty line on the prompt replays again."
+    });
+    yargs.option("action-file", {
+        type: "string",
+        implies: "local",
+        group: "Local mode options:",
+        describe: "Local action definition as json file, e.g. from `wsk action get <action>`. No OpenWhisk connection required. Alternatively use --kind with [source-path]."
+    });
+
     // nodejs options
     yargs.option("inspect", {
         alias: ["inspect-brk", "inspect-port", "debug", "debug-brk", "debug-port"],
@@ -185,22 +403,27 @@ function yargsOptions(yargs) {
         type: "number"
     });
 
-    // general options
-    yargs.option("v", {
-        alias: "verbose",
-        type: "boolean",
-        describe: "Verbose output. Logs activation parameters and result"
+    generalOptions(yargs);
+    yargs.option("profile", {
+        type: "string",
+        describe: `Use named profile from project config file (${config.CONFIG_FILES.join(" or ")}). Arguments override profile settings.`
     });
-    yargs.option("q", {
-        alias: "quiet",
-        type: "boolean",
-        describe: "Quiet mode. Only output logs from action container."
+
+    // <action> can come from a --profile or after "--", hence not a required positional
+    yargs.check(argv => {
+        if (!argv.action && !(argv["--"] && argv["--"].length > 0)) {
+            throw new Error("Error: Missing argument <action>");
+        }
+        return true;
     });
     yargs.version(require("./package.json").version);
 }
 
 function getYargsParser() {
-    return yargs
+    // new instance on each call, as the yargs singleton keeps state such as config objects
+    return yargs()
+        // arguments after "--" are not taken as command
+        .parserConfiguration({ "populate--": true })
         .help()
         .alias("h", "help")
         .updateStrings({
@@ -212,31 +435,36 @@ function getYargsParser() {
         })
         .version(false)
         .wrap(90)
+        .usage(usage())
+        // default command, described by usage()
         .command(
-            "* <action> [source-path]",
-            // eslint-disable-next-line indent
-           `.            ____      ___                   _    _ _     _     _
-            .           /\\   \\    / _ \\ _ __   ___ _ __ | |  | | |__ (_)___| | __
-            .      /\\  /__\\   \\  | | | | '_ \\ / _ \\ '_ \\| |  | | '_ \\| / __| |/ /
-            .     /  \\____ \\  /  | |_| | |_) |  __/ | | | |/\\| | | | | \\__ \\   <
-            .     \\   \\  /  \\/    \\___/| .__/ \\___|_| |_|__/\\__|_| |_|_|___/_|\\_\\
-            .      \\___\\/ tm           |_|
-
-            .                              W S K D E B U G
-
-            Debug an Apache OpenWhisk <action> by forwarding its activations to a local docker
-            container that has debugging enabled and its debug port exposed to the host.
-
-            If only <action> is specified, the deployed action code is debugged.
-
-            If [source-path] is set, it must point to the local action sources which will be mounted
-            into the debug container. Sources will be automatically reloaded on each new activation.
-            This feature depends on the kind.
-
-            Supported kinds:
-            - ${getSupportedKinds().join("\n")}
-            `,
+            "* [action] [source-path]",
+            false,
             yargsOptions
+        )
+        .command(
+            "restore <action>",
+            "Restore the original action if a killed wskdebug left its agent installed. Does not require docker.",
+            restoreOptions,
+            argv => { argv.subcommand = restore; }
+        )
+        .command(
+            "cleanup",
+            "Find wskdebug leftovers in the namespace: installed agents, backups and helper actions. Asks to restore or delete each.",
+            cleanupOptions,
+            argv => { argv.subcommand = cleanup; }
+        )
+        .command(
+            "status",
+            "Show actions with an agent installed and wskdebug containers running on this host.",
+            commandOptions,
+            argv => { argv.subcommand = status; }
+        )
+        .command(
+            "doctor [action]",
+            "Check credentials, OpenWhisk, docker and debug port and suggest fixes for problems.",
+            doctorOptions,
+            argv => { argv.subcommand = doctor; }
         );
 }
 
@@ -250,8 +478,38 @@ function normalizeArgs(argv) {
     argv.invokeAction = argv.a;
     argv.onChange = argv.r;
 
-    if (process.env.WSK_PACKAGE && argv.action && !argv.action.includes("/")) {
-        argv.action = `${process.env.WSK_PACKAGE}/${argv.action}`;
+    // "wskdebug -- status [source-path]" for an action named like a command
+    if (argv["--"] && argv["--"].length > 0 && argv.action === undefined) {
+        [argv.action, argv.sourcePath] = argv["--"].map(String);
+    }
+
+    // multiple actions: comma separated list or array from config file
+    if (typeof argv.action === "string" && argv.action.includes(",")) {
+        argv.action = argv.action.split(",").map(a => a.trim()).filter(a => a);
+    }
+
+    if (process.env.WSK_PACKAGE) {
+        const addPackage = name => name.includes("/") ? name : `${process.env.WSK_PACKAGE}/${name}`;
+
+        if (Array.isArray(argv.action)) {
+            argv.action = argv.action.map(a => {
+                if (typeof a === "object") {
+                    return { ...a, action: addPackage(a.action) };
+                }
+                return addPackage(a);
+            });
+
+        } else if (argv.action) {
+            argv.action = addPackage(argv.action);
+        }
+    }
+}
+
+// read --profile from config file, if requested in the arguments
+function readProfile(args) {
+    const name = yargsParser(args, { string: ["profile"] }).profile;
+    if (name) {
+        return config.getProfile(name);
     }
 }
 
@@ -267,7 +525,7 @@ function registerExitHandler(dbg) {
         process.on(signal, async () => {
             await dbg.kill();
 
-            process.exit();
+            process.exit(dbg.restoreFailed ? 1 : 0);
         });
     });
 }
@@ -283,6 +541,12 @@ async function wskdebug(args, isCommandLine=false) {
         parser.showHelpOnFail(isCommandLine);
         parser.exitProcess(isCommandLine);
 
+        // profile settings are only used if not set in the arguments
+        const profile = readProfile(args);
+        if (profile) {
+            parser.config(profile);
+        }
+
         const argv = parser.parse(args);
         normalizeArgs(argv);
 
@@ -294,20 +558,23 @@ async function wskdebug(args, isCommandLine=false) {
         log.isVerbose = argv.verbose;
         log.quiet(argv.quiet);
 
-        try {
-            const dbg = new Debugger(argv);
-            if (isCommandLine) {
-                registerExitHandler(dbg);
-            }
-            await dbg.start();
-            await dbg.run();
-
-        } catch (e) {
-            if (isCommandLine) {
-                printErrorAndExit(e);
-            } else {
-                throw e;
-            }
+        if (argv.subcommand) {
+            await argv.subcommand(argv);
+            return;
+        }
+
+        const dbg = new Debugger(argv);
+        if (isCommandLine) {
+            registerExitHandler(dbg);
+        }
+        await dbg.start();
+        await dbg.run();
+
+    } catch (e) {
+        if (isCommandLine) {
+            printErrorAndExit(e);
+        } else {
+            throw e;
         }
 
     } finally {
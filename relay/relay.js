@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// relay server for the relay agent (--relay-url), a self-hosted alternative to ngrok.com
+//
+// The agent action POSTs each activation to the relay and waits for the result in the response.
+// wskdebug receives activations by long-polling the relay and posts back their results.
+// Only clients knowing the shared secret of the relay, passed in the x-wskdebug-relay-secret header,
+// can use it. Debug sessions are separated by the random token that wskdebug creates for each session,
+// passed in the authorization header.
+//
+//   POST /activations     agent: activation parameters including $activationId, responds with the result.
+//                         Optional ?pickupTimeout=<seconds>&maxQueue=<n> respond with a $wskdebugFallback
+//                         reason instead if wskdebug does not pick it up in time or too many are waiting.
+//                         With ?shadow=true, responds 202 right away and wskdebug does not post a result.
+//   GET  /poll            wskdebug: next activation, or 204 if none arrived within the poll timeout
+//   POST /results/<id>    wskdebug: result of the activation <id>
+//
+// Usage: WSKDEBUG_RELAY_SECRET=<secret> wskdebug-relay [port]
+//
+// Listens on port 8080 or the PORT environment variable by default. Only plain http,
+// for use over the internet put a reverse proxy doing TLS in front of it.
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 8080;
+const POLL_TIMEOUT = 25 * 1000;
+// openwhisk limits parameters to 1 MB and results to 5 MB
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+const SECRET_HEADER = "x-wskdebug-relay-secret";
+
+function send(res, status, json) {
+    if (json === undefined) {
+        res.writeHead(status);
+        res.end();
+    } else {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(json));
+    }
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+        req.on("data", chunk => {
+            body += chunk.toString();
+            if (body.length > MAX_BODY_SIZE) {
+                reject(Object.assign(new Error("Request body too large"), { status: 413 }));
+                req.destroy();
+            }
+        });
+        req.on("end", () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (e) {
+                reject(Object.assign(new Error(`Invalid json: ${e.message}`), { status: 400 }));
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+// constant time comparison of the secret header
+function hasSecret(req, secret) {
+    const given = Buffer.from(req.headers[SECRET_HEADER] || "");
+    const expected = Buffer.from(secret);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// invoke handler if the response is closed before it was sent, e.g. the client disconnected
+function onAbort(res, handler) {
+    res.on("close", () => {
+        // not writableEnded, which needs node 12.9
+        if (!res.finished) {
+            handler();
+        }
+    });
+}
+
+/**
+ * Create the relay http server, not yet listening.
+ * Options: secret shared with the clients (required), pollTimeout in milliseconds.
+ */
+function createRelayServer(options = {}) {
+    if (!options.secret) {
+        throw new Error("The relay requires a shared secret, set the WSKDEBUG_RELAY_SECRET environment variable.");
+    }
+    const pollTimeout = options.pollTimeout || POLL_TIMEOUT;
+
+    // token => { queue: activations waiting for a poll, pollers: waiting polls, pending: id => agent response,
+    //            timers: id => pickup timeout }
+    const sessions = new Map();
+
+    function getSession(token) {
+        if (!sessions.has(token)) {
+            sessions.set(token, { queue: [], pollers: [], pending: new Map(), timers: new Map() });
+        }
+        return sessions.get(token);
+    }
+
+    function removeFromQueue(session, id) {
+        clearTimeout(session.timers.get(id));
+        session.timers.delete(id);
+        session.queue = session.queue.filter(params => params.$activationId !== id);
+    }
+
+    // forget sessions without any activity in flight
+    function removeIfIdle(token) {
+        const session = sessions.get(token);
+        if (session && session.queue.length === 0 && session.pollers.length === 0 && session.pending.size === 0) {
+            sessions.delete(token);
+        }
+    }
+
+    async function handleActivation(token, query, req, res) {
+        const params = await readJsonBody(req);
+        const id = params.$activationId;
+        if (!id) {
+            return send(res, 400, { error: "Missing $activationId" });
+        }
+
+        const session = getSession(token);
+
+        const maxQueue = query.get("maxQueue");
+        if (maxQueue !== null && session.queue.length > Number(maxQueue)) {
+            send(res, 200, { $wskdebugFallback: `more than ${maxQueue} activations waiting for debugger` });
+            return removeIfIdle(token);
+        }
+
+        const shadow = query.get("shadow") === "true";
+        if (shadow) {
+            // copy for wskdebug, the agent does not wait for a result
+            send(res, 202, {});
+        } else {
+            session.pending.set(id, res);
+            onAbort(res, () => {
+                // agent gave up, e.g. timed out
+                session.pending.delete(id);
+                removeFromQueue(session, id);
+                removeIfIdle(token);
+            });
+        }
+
+        const poller = session.pollers.shift();
+        if (poller) {
+            clearTimeout(poller.timer);
+            send(poller.res, 200, params);
+            return;
+        }
+
+        session.queue.push(params);
+        const pickupTimeout = query.get("pickupTimeout");
+        if (pickupTimeout !== null) {
+            session.timers.set(id, setTimeout(() => {
+                removeFromQueue(session, id);
+                if (!shadow) {
+                    session.pending.delete(id);
+                    send(res, 200, { $wskdebugFallback: `not picked up by debugger within ${pickupTimeout} seconds` });
+                }
+                removeIfIdle(token);
+            }, Number(pickupTimeout) * 1000));
+        }
+    }
+
+    function handlePoll(token, req, res) {
+        const session = getSession(token);
+
+        const params = session.queue.shift();
+        if (params) {
+            clearTimeout(session.timers.get(params.$activationId));
+            session.timers.delete(params.$activationId);
+            return send(res, 200, params);
+        }
+
+        const poller = { res };
+        poller.timer = setTimeout(() => {
+            session.pollers = session.pollers.filter(p => p !== poller);
+            send(res, 204);
+            removeIfIdle(token);
+        }, pollTimeout);
+        session.pollers.push(poller);
+
+        onAbort(res, () => {
+            clearTimeout(poller.timer);
+            session.pollers = session.pollers.filter(p => p !== poller);
+            removeIfIdle(token);
+        });
+    }
+
+    async function handleResult(token, id, req, res) {
+        const result = await readJsonBody(req);
+
+        const session = sessions.get(token);
+        const agentResponse = session && session.pending.get(id);
+        if (!agentResponse) {
+            return send(res, 404, { error: `No pending activation ${id}` });
+        }
+        session.pending.delete(id);
+        send(agentResponse, 200, result);
+        send(res, 200, {});
+        removeIfIdle(token);
+    }
+
+    return http.createServer(async (req, res) => {
+        if (!hasSecret(req, options.secret)) {
+            return send(res, 401, { error: "Missing or wrong relay secret" });
+        }
+        const token = req.headers.authorization;
+        if (!token) {
+            return send(res, 401, { error: "Missing authorization" });
+        }
+
+        try {
+            const url = new URL(req.url, "http://relay");
+            const path = url.pathname;
+            if (req.method === "POST" && path === "/activations") {
+                await handleActivation(token, url.searchParams, req, res);
+
+            } else if (req.method === "GET" && path === "/poll") {
+                handlePoll(token, req, res);
+
+            } else if (req.method === "POST" && path.startsWith("/results/")) {
+                await handleResult(token, decodeURIComponent(path.substring("/results/".length)), req, res);
+
+            } else {
+                send(res, 404, { error: "Not found" });
+            }
+        } catch (e) {
+            if (!res.headersSent) {
+                send(res, e.status || 500, { error: e.message });
+            }
+        }
+    });
+}
+
+module.exports = {
+    createRelayServer,
+    SECRET_HEADER
+};
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.PORT || DEFAULT_PORT, 10);
+    let server;
+    try {
+        server = createRelayServer({ secret: process.env.WSKDEBUG_RELAY_SECRET });
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+    server.listen(port, () => {
+        console.log(`wskdebug relay listening on port ${port}`);
+    });
+}
@@ -0,0 +1,194 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// listing, matching and inspecting of actions in the namespace
+
+'use strict';
+
+const os = require('os');
+
+// page size for listing actions, maximum allowed by openwhisk
+const LIST_LIMIT = 200;
+
+// annotations on an installed agent in addition to "wskdebug": true
+const AGENT_TYPE_ANNOTATION = "wskdebug-agent";
+const AGENT_STARTED_ANNOTATION = "wskdebug-started";
+const AGENT_VERSION_ANNOTATION = "wskdebug-version";
+const AGENT_CODE_HASH_ANNOTATION = "wskdebug-code-hash";
+// session owner: { user, hostname, pid }
+const AGENT_OWNER_ANNOTATION = "wskdebug-owner";
+
+function getAnnotation(action, key) {
+    const a = (action.annotations || []).find(a => a.key === key);
+    if (a) {
+        return a.value;
+    }
+}
+
+// if the action is a wskdebug agent and not the original action
+function isAgent(action) {
+    return getAnnotation(action, "wskdebug") ||
+           (getAnnotation(action, "description") || "").startsWith("wskdebug agent.");
+}
+
+// agent type, start time in millis, wskdebug version, code hash and session owner, if known (older agents lack the annotations)
+function getAgentInfo(action) {
+    return {
+        type: getAnnotation(action, AGENT_TYPE_ANNOTATION),
+        started: getAnnotation(action, AGENT_STARTED_ANNOTATION) || action.updated,
+        version: getAnnotation(action, AGENT_VERSION_ANNOTATION),
+        codeHash: getAnnotation(action, AGENT_CODE_HASH_ANNOTATION),
+        owner: getAnnotation(action, AGENT_OWNER_ANNOTATION)
+    };
+}
+
+// owner of the debug session run by this process
+function getSessionOwner() {
+    let user;
+    try {
+        user = os.userInfo().username;
+    } catch (e) {
+        // no user entry, e.g. in some containers
+        user = process.env.USER || "unknown";
+    }
+    return { user: user, hostname: os.hostname(), pid: process.pid };
+}
+
+function describeOwner(owner) {
+    return owner ? `${owner.user}@${owner.hostname} (pid ${owner.pid})` : "unknown";
+}
+
+// if the agent belongs to another wskdebug session which might still be running
+function isOwnedByOtherSession(owner) {
+    if (!owner) {
+        // agent of an older wskdebug
+        return false;
+    }
+    const self = getSessionOwner();
+    if (owner.hostname !== self.hostname || owner.user !== self.user) {
+        // no way to tell if it is still running
+        return true;
+    }
+    if (owner.pid === self.pid) {
+        return false;
+    }
+    try {
+        process.kill(owner.pid, 0);
+        return true;
+    } catch (e) {
+        // EPERM: running, but not ours to signal
+        return e.code === "EPERM";
+    }
+}
+
+function isPattern(name) {
+    return /[*?]/.test(name);
+}
+
+// glob pattern to regex: * matches anything but a slash, ? a single character
+function patternToRegExp(pattern) {
+    const regex = pattern.split("").map(c => {
+        if (c === "*") {
+            return "[^/]*";
+        } else if (c === "?") {
+            return "[^/]";
+        } else {
+            return c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+        }
+    }).join("");
+    return new RegExp(`^${regex}$`);
+}
+
+// name of action as used on the command line: <package>/<action> or <action>
+function getActionName(action) {
+    // namespace is <namespace>/<package> for actions inside a package
+    const namespaceParts = action.namespace.split("/");
+    if (namespaceParts.length > 1) {
+        return `${namespaceParts.slice(1).join("/")}/${action.name}`;
+    }
+    return action.name;
+}
+
+// <action>_wskdebug_original (backup), <action>_wskdebug_invoked and <action>_wskdebug_completed
+const HELPER_ACTION_REGEX = /^(.+)_wskdebug_(original|invoked|completed)$/;
+
+function isHelperAction(name) {
+    return HELPER_ACTION_REGEX.test(name);
+}
+
+// returns the name of the original action and the helper type, or undefined if not a helper
+function parseHelperActionName(name) {
+    const match = name.match(HELPER_ACTION_REGEX);
+    if (match) {
+        return {
+            action: match[1],
+            type: match[2]
+        };
+    }
+}
+
+/**
+ * List all actions in the namespace (without code).
+ */
+async function listActions(wsk) {
+    const actions = [];
+    while (true) {
+        const page = await wsk.actions.list({
+            limit: LIST_LIMIT,
+            skip: actions.length
+        });
+        actions.push(...page);
+        if (page.length < LIST_LIMIT) {
+            return actions;
+        }
+    }
+}
+
+/**
+ * Returns the sorted names of all actions matching the glob pattern, e.g. mypackage/*.
+ * Sequences and wskdebug helper actions are ignored.
+ */
+async function findActions(wsk, pattern) {
+    const regex = patternToRegExp(pattern);
+    const actions = await listActions(wsk);
+
+    return actions
+        .filter(action => getAnnotation(action, "exec") !== "sequence")
+        .map(getActionName)
+        .filter(name => regex.test(name) && !isHelperAction(name))
+        .sort();
+}
+
+module.exports = {
+    getAnnotation,
+    isAgent,
+    getAgentInfo,
+    isPattern,
+    getActionName,
+    isHelperAction,
+    parseHelperActionName,
+    listActions,
+    findActions,
+    AGENT_TYPE_ANNOTATION,
+    AGENT_STARTED_ANNOTATION,
+    AGENT_VERSION_ANNOTATION,
+    AGENT_CODE_HASH_ANNOTATION,
+    AGENT_OWNER_ANNOTATION,
+    getSessionOwner,
+    describeOwner,
+    isOwnedByOtherSession
+};
@@ -17,33 +17,40 @@
 
 'use strict';
 
-let NgrokAgent;
-try {
-    // optional dependency, only needed if --ngrok is set
-    NgrokAgent = require('./agents/ngrok');
-} catch (err) {
-    NgrokAgent = null
-}
-
+const agents = require('./agents/agents');
 const fs = require('fs-extra');
 const sleep = require('util').promisify(setTimeout);
 const clone = require('clone');
+const crypto = require('crypto');
 const log = require('./log');
-
-function getAnnotation(action, key) {
-    const a = action.annotations.find(a => a.key === key);
-    if (a) {
-        return a.value;
-    }
-}
+const { diff, formatDiff } = require('./jsondiff');
+const { writeBackup, readLatestBackup } = require('./backups');
+const {
+    isAgent, getAgentInfo, getSessionOwner, describeOwner, isOwnedByOtherSession,
+    AGENT_TYPE_ANNOTATION, AGENT_STARTED_ANNOTATION, AGENT_VERSION_ANNOTATION, AGENT_CODE_HASH_ANNOTATION, AGENT_OWNER_ANNOTATION
+} = require('./actions');
+const WSKDEBUG_VERSION = require('../package.json').version;
+const { parseCondition } = require('../agent/condition');
+
+// minutes
+const DEFAULT_SELF_RESTORE_DEADLINE = 12 * 60;
+const DEFAULT_SELF_RESTORE_SILENCE = 10;
+
+// restored action read back differs from the original, e.g. due to caching in openwhisk
+const RESTORE_ATTEMPTS = 3;
+const RESTORE_RETRY_DELAY = 1000;
 
 function getActionCopyName(name) {
     return `${name}_wskdebug_original`;
 }
 
-function isAgent(action) {
-    return getAnnotation(action, "wskdebug") ||
-           (getAnnotation(action, "description") || "").startsWith("wskdebug agent.");
+// same parser as in the agent action, which would silently never hit
+function validateCondition(condition) {
+    try {
+        parseCondition(condition);
+    } catch (e) {
+        throw new Error(`Invalid hit condition '${condition}': ${e.message}`);
+    }
 }
 
 function getActivationError(e) {
@@ -53,6 +60,171 @@ function getActivationError(e) {
     return {};
 }
 
+// policy => command line option
+const FALLBACK_OPTIONS = {
+    timeout: "--fallback-timeout",
+    queue: "--fallback-queue",
+    error: "--fallback-on-error"
+};
+
+const HIT_POLICY_OPTIONS = {
+    first: "--hit-first",
+    every: "--hit-every",
+    percent: "--hit-percent",
+    window: "--hit-window"
+};
+
+// local time window such as 14:00-15:30 => { from, until } timestamps of the current or next window
+function parseHitWindow(value) {
+    const match = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(value.trim());
+    const [fromHours, fromMinutes, untilHours, untilMinutes] = match ? match.slice(1).map(Number) : [];
+    if (!match || fromHours > 23 || untilHours > 23 || fromMinutes > 59 || untilMinutes > 59) {
+        throw new Error(`Invalid --hit-window '${value}', expected a local time window such as 14:00-15:30.`);
+    }
+    const now = Date.now();
+    const from = new Date(now);
+    from.setHours(fromHours, fromMinutes, 0, 0);
+    const until = new Date(now);
+    until.setHours(untilHours, untilMinutes, 0, 0);
+
+    if (until <= from) {
+        // across midnight, might have started yesterday
+        if (now < until.getTime()) {
+            from.setDate(from.getDate() - 1);
+        } else {
+            until.setDate(until.getDate() + 1);
+        }
+    } else if (until.getTime() <= now) {
+        // over for today
+        from.setDate(from.getDate() + 1);
+        until.setDate(until.getDate() + 1);
+    }
+    return { from: from.getTime(), until: until.getTime() };
+}
+
+// which activations matching the condition to debug, passed as $hitPolicy parameter
+function getHitPolicy(argv) {
+    const policy = {};
+    if (argv.hitFirst !== undefined) {
+        if (!Number.isInteger(argv.hitFirst) || argv.hitFirst < 1) {
+            throw new Error(`Invalid --hit-first '${argv.hitFirst}', must be a positive integer.`);
+        }
+        policy.first = argv.hitFirst;
+    }
+    if (argv.hitEvery !== undefined) {
+        if (!Number.isInteger(argv.hitEvery) || argv.hitEvery < 1) {
+            throw new Error(`Invalid --hit-every '${argv.hitEvery}', must be a positive integer.`);
+        }
+        policy.every = argv.hitEvery;
+    }
+    if (argv.hitPercent !== undefined) {
+        if (typeof argv.hitPercent !== "number" || isNaN(argv.hitPercent) || argv.hitPercent < 0 || argv.hitPercent > 100) {
+            throw new Error(`Invalid --hit-percent '${argv.hitPercent}', must be between 0 and 100.`);
+        }
+        policy.percent = argv.hitPercent;
+    }
+    if (argv.hitWindow !== undefined) {
+        policy.window = parseHitWindow(String(argv.hitWindow));
+    }
+    return Object.keys(policy).length > 0 ? policy : undefined;
+}
+
+function getSupportedHitPolicy(policy, agent, agentName) {
+    if (!policy) {
+        return;
+    }
+    const supported = {};
+    for (const name of Object.keys(policy)) {
+        if (agent.supportsHitPolicy(name)) {
+            supported[name] = policy[name];
+        } else {
+            log.warn(`Ignoring ${HIT_POLICY_OPTIONS[name]}, not supported by agent '${agentName}'.`);
+        }
+    }
+    return Object.keys(supported).length > 0 ? supported : undefined;
+}
+
+// when the agent should invoke the original action instead, passed as $fallback parameter
+function getFallbackPolicy(argv, agent, agentName) {
+    const policy = {};
+    if (argv.fallbackTimeout !== undefined) {
+        policy.timeout = argv.fallbackTimeout;
+    }
+    if (argv.fallbackQueue !== undefined) {
+        policy.queue = argv.fallbackQueue;
+    }
+    if (argv.fallbackOnError) {
+        policy.error = true;
+    }
+    for (const name of Object.keys(policy)) {
+        if (!agent.supportsFallback(name)) {
+            log.warn(`Ignoring ${FALLBACK_OPTIONS[name]}, not supported by agent '${agentName}'.`);
+            delete policy[name];
+        }
+    }
+    return Object.keys(policy).length > 0 ? policy : undefined;
+}
+
+// when the agent should restore the original action by itself, passed as $watchdog parameter
+function getWatchdog(argv, agent, agentName, started) {
+    const deadline = argv.selfRestoreDeadline === undefined ? DEFAULT_SELF_RESTORE_DEADLINE : argv.selfRestoreDeadline;
+    const silence = argv.selfRestoreSilence === undefined ? DEFAULT_SELF_RESTORE_SILENCE : argv.selfRestoreSilence;
+
+    if (!agent.supportsWatchdog()) {
+        if (argv.selfRestoreDeadline || argv.selfRestoreSilence) {
+            log.warn(`Ignoring --self-restore-* options, not supported by agent '${agentName}'.`);
+        }
+        return;
+    }
+    if (!deadline && !silence) {
+        return;
+    }
+    return {
+        // identifies this session's agent, to not restore over a newer deployment
+        started: started,
+        deadline: deadline ? started + deadline * 60 * 1000 : undefined,
+        silence: silence ? silence * 60 : undefined
+    };
+}
+
+// limits of agent and helper actions within the limits of the openwhisk server from its system info.
+// timeout is the default in seconds, raised to the server maximum if maximise is set, unless --agent-timeout is given
+function getAgentLimits(argv, serverLimits, { timeout, maximise, concurrency }) {
+    const maxTimeout = serverLimits.max_action_duration;
+    const minTimeout = serverLimits.min_action_duration;
+    const maxConcurrency = serverLimits.max_action_concurrency;
+    const limits = {};
+
+    if (argv.agentTimeout) {
+        limits.timeout = argv.agentTimeout * 1000;
+    } else if (maximise && maxTimeout) {
+        limits.timeout = maxTimeout;
+    } else {
+        limits.timeout = timeout * 1000;
+    }
+    if (maxTimeout && limits.timeout > maxTimeout) {
+        log.warn(`Agent timeout of ${limits.timeout / 1000} seconds exceeds the maximum of ${maxTimeout / 1000} seconds allowed by OpenWhisk, using the maximum.`);
+        limits.timeout = maxTimeout;
+    } else if (minTimeout && limits.timeout < minTimeout) {
+        log.warn(`Agent timeout of ${limits.timeout / 1000} seconds is below the minimum of ${minTimeout / 1000} seconds allowed by OpenWhisk, using the minimum.`);
+        limits.timeout = minTimeout;
+    }
+
+    if (concurrency !== undefined) {
+        limits.concurrency = concurrency;
+        // below 2 concurrent agents do not work, left for openwhisk to reject
+        if (maxConcurrency > 1 && concurrency > maxConcurrency) {
+            log.warn(`Agent concurrency of ${concurrency} exceeds the maximum of ${maxConcurrency} allowed by OpenWhisk, using the maximum.`);
+            limits.concurrency = maxConcurrency;
+        }
+    }
+    return limits;
+}
+
+function isConcurrencyNotSupported(e) {
+    return e.statusCode === 400 && e.error && typeof e.error.error === "string" && e.error.error.includes("concurrency");
+}
+
 async function getWskActionWithoutCode(wsk, actionName) {
     try {
         return await wsk.actions.get({name: actionName, code:false});
@@ -81,6 +253,69 @@ async function deleteActionIfExists(wsk, name) {
     log.debug(`restore: ensured removal of action ${name}`);
 }
 
+// what must match the original action after restoring it
+function getRestoredFields(action) {
+    const exec = action.exec || {};
+    return {
+        exec: { kind: exec.kind, code: exec.code, main: exec.main },
+        parameters: action.parameters || [],
+        annotations: action.annotations || [],
+        limits: action.limits || {}
+    };
+}
+
+// namespace without package
+function getNamespace(action) {
+    return action.namespace.split("/")[0];
+}
+
+// what makes up an agent action: code, limits and parameters
+function getAgentSignature(action) {
+    const info = getAgentInfo(action);
+    const parameters = {};
+    for (const p of action.parameters || []) {
+        parameters[p.key] = p.value;
+    }
+    return {
+        type: info.type,
+        version: info.version,
+        codeHash: info.codeHash,
+        timeout: (action.limits || {}).timeout,
+        concurrency: (action.limits || {}).concurrency,
+        parameters: parameters
+    };
+}
+
+// returns the backup of the original action if an agent is installed, throws if the backup is missing or broken
+async function getBackupOfAgent(wsk, actionName) {
+    const backupName = getActionCopyName(actionName);
+
+    // check the backup action
+    try {
+        const backup = await getWskActionWithoutCode(wsk, backupName);
+
+        if (!backup) {
+            // backup is also an agent (should not happen)
+            throw new Error(`Dang! Agent is already installed and action backup is missing.\n\nPlease redeploy your action first before running wskdebug again.`);
+
+        } else if (isAgent(backup)) {
+            // backup is also an agent (should not happen)
+            throw new Error(`Dang! Agent is already installed and action backup is broken (${backupName}).\n\nPlease redeploy your action first before running wskdebug again.`);
+        }
+        return backup;
+
+    } catch (e) {
+        if (e.statusCode === 404) {
+            // backup missing
+            throw new Error(`Dang! Agent is already installed and action backup is gone (${backupName}).\n\nPlease redeploy your action first before running wskdebug again.`);
+
+        } else {
+            // other error
+            throw e;
+        }
+    }
+}
+
 
 class AgentMgr {
 
@@ -89,10 +324,12 @@ class AgentMgr {
         this.wsk = wsk;
         this.actionName = actionName;
         this.polling = true;
+        // ids of shadow activations, whose caller already got the result of the original action
+        this.shadowActivations = new Set();
 
-        if (this.argv.ngrok && !NgrokAgent) {
-            throw new Error("ngrok dependency required for --ngrok is not installed. Please install it using:\n\n    npm install -g ngrok --unsafe-perm=true\n");
-        }
+        // fail fast if the agent is not available
+        this.agentName = agents.getAgentName(argv);
+        this.AgentClass = agents.getAgentClass(this.agentName);
     }
 
     /**
@@ -108,46 +345,38 @@ class AgentMgr {
         if (isAgent(action)) {
             // ups, action is our agent, not the original
             // happens if a previous wskdebug was killed and could not restore before it exited
-            const backupName = getActionCopyName(this.actionName);
-
-            // check the backup action
-            try {
-                const backup = await getWskActionWithoutCode(this.wsk, backupName);
-
-                if (!backup) {
-                    // backup is also an agent (should not happen)
-                    throw new Error(`Dang! Agent is already installed and action backup is missing.\n\nPlease redeploy your action first before running wskdebug again.`);
-
-                } else if (isAgent(backup)) {
-                    // backup is also an agent (should not happen)
-                    throw new Error(`Dang! Agent is already installed and action backup is broken (${backupName}).\n\nPlease redeploy your action first before running wskdebug again.`);
-
-                } else {
-                    log.warn("Agent was already installed, but backup is still present. All good.");
-
-                    // need to look at the original action
-                    action = backup;
-                    this.agentInstalled = true;
-                }
-
-            } catch (e) {
-                if (e.statusCode === 404) {
-                    // backup missing
-                    throw new Error(`Dang! Agent is already installed and action backup is gone (${backupName}).\n\nPlease redeploy your action first before running wskdebug again.`);
-
-                } else {
-                    // other error
-                    throw e;
+            // need to look at the original action
+            const agentInfo = getAgentInfo(action);
+            const agent = action;
+            if (isOwnedByOtherSession(agentInfo.owner)) {
+                const since = new Date(agentInfo.started).toLocaleString();
+                if (!this.argv.force) {
+                    throw new Error(`Action ${this.actionName} is being debugged by ${describeOwner(agentInfo.owner)} since ${since}. Use --force to take over, e.g. if that session is no longer running.`);
                 }
+                log.warn(`Taking over action ${this.actionName} from ${describeOwner(agentInfo.owner)}, debugging since ${since}.`);
+            }
+            action = await this.readBackupOfAgent(agent);
+            this.agentInstalled = true;
+
+            // the agent falls back to the backup action, so it must be intact for reuse
+            if (!this.localBackup && agentInfo.type === this.agentName && agentInfo.version === WSKDEBUG_VERSION) {
+                // same agent from the same wskdebug, can be reused as is or with new parameters
+                this.reusableAgent = agent;
+                log.log("Agent is already installed, reusing it.");
+            } else {
+                log.warn("Agent was already installed, but backup is still present. All good.");
             }
         }
         return action;
     }
 
     async readActionWithCode() {
-        // user can switch between agents (ngrok or not), hence we need to restore first
-        // (better would be to track the agent + its version and avoid a restore, but that's TBD)
-        if (this.agentInstalled) {
+        if (this.reusableAgent) {
+            // keep the agent, the original is in the backup
+            this.actionWithCode = await this.wsk.actions.get(getActionCopyName(this.actionName));
+
+        } else if (this.agentInstalled) {
+            // user can switch between agents (ngrok or not), or wskdebug versions, hence we need to restore first
             this.actionWithCode = await this.restoreAction(true);
         } else {
             this.actionWithCode = await this.wsk.actions.get(this.actionName);
@@ -157,13 +386,48 @@ class AgentMgr {
             throw new Error("Action seems to be a left over wskdebug agent instead of the original action. Possible bug in wskdebug. Please redeploy your action. Aborting.");
         }
 
+        await writeBackup(this.getApiHost(), getNamespace(this.actionWithCode), this.actionName, this.actionWithCode);
+
         return this.actionWithCode;
     }
 
+    // backup action of the installed agent, or the newest local backup if the backup action is missing or broken
+    async readBackupOfAgent(agent) {
+        try {
+            return await getBackupOfAgent(this.wsk, this.actionName);
+        } catch (e) {
+            const local = readLatestBackup(this.getApiHost(), getNamespace(agent), this.actionName);
+            if (!local) {
+                throw e;
+            }
+            log.warn(`${e.message.split("\n")[0]} Using local backup ${local.file}`);
+            this.localBackup = local.action;
+            return local.action;
+        }
+    }
+
+    getApiHost() {
+        return new URL(this.wsk.actions.client.options.api).host;
+    }
+
     async installAgent(invoker, debug2) {
-        this.agentInstalled = true;
+        // fail on invalid options before touching the action
+        if (this.argv.condition) {
+            validateCondition(this.argv.condition);
+        }
+        this.requestedHitPolicy = getHitPolicy(this.argv);
+        this.agent = new this.AgentClass(this, invoker);
+        if (this.agent.getConcurrency() > 1 && !await this.openwhiskSupports("concurrency")) {
+            if (this.argv.agent) {
+                throw new Error(`Agent '${this.agentName}' requires concurrent actions, which the OpenWhisk server does not support.`);
+            }
+            this.useNonConcurrentAgent(invoker);
+        }
+        if (this.argv.shadow && !this.agent.supportsShadow()) {
+            throw new Error(`--shadow is not supported by agent '${this.agentName}'.`);
+        }
 
-        let agentName;
+        this.agentInstalled = true;
 
         // base agent on the original action to keep default parameters & annotations
         const agentAction = this.actionWithCode ? clone(this.actionWithCode) : {
@@ -172,45 +436,26 @@ class AgentMgr {
             annotations: [],
             parameters: []
         };
+        // agents add their own parameters such as relay credentials, which must not end up in the backup
+        const originalAction = clone(agentAction);
 
-        // choose the right agent implementation
-        let agentCode;
-        if (this.argv.ngrok) {
-            // user manually requested ngrok
-            this.ngrokAgent = new NgrokAgent(this.argv, invoker);
-
-            // agent using ngrok for forwarding
-            agentName = "ngrok";
-            agentCode = await this.ngrokAgent.getAgent(agentAction);
-            debug2("started local ngrok proxy");
-
-        } else {
-            this.concurrency = !this.argv.disableConcurrency;
-
-            if (this.concurrency) {
-                // normal fast agent using concurrent node.js actions
-                agentName = "concurrency";
-                agentCode = await this.getConcurrencyAgent();
-
-            } else {
-                agentName = "polling activation db";
-                agentCode = await this.getPollingActivationDbAgent();
-            }
-        }
+        let agentCode = await this.agent.getCode(agentAction);
 
         const backupName = getActionCopyName(this.actionName);
 
-        // create copy in case wskdebug gets killed hard
+        // create copy in case wskdebug gets killed hard, a reused agent already has one
         // do async as this can be slow for larger actions and this is part of the critical startup path
-        this.createBackup = (async () => {
-            const debug3 = log.newDebug();
-
-            await this.wsk.actions.update({
-                name: backupName,
-                action: agentAction
-            });
-            debug3(`created action backup ${backupName}`);
-        })();
+        if (!this.reusableAgent) {
+            this.createBackup = (async () => {
+                const debug3 = log.newDebug();
+
+                await this.wsk.actions.update({
+                    name: backupName,
+                    action: originalAction
+                });
+                debug3(`created action backup ${backupName}`);
+            })();
+        }
 
         if (this.argv.condition) {
             agentAction.parameters.push({
@@ -223,18 +468,35 @@ class AgentMgr {
             await this.pushAgent(agentAction, agentCode, backupName);
         } catch (e) {
             // openwhisk does not support concurrent nodejs actions, try with another
-            if (e.statusCode === 400 && e.error && typeof e.error.error === "string" && e.error.error.includes("concurrency")) {
-                log.log(`The Openwhisk server does not support concurrent actions, using alternative agent. Consider using --ngrok for a possibly faster agent.`);
-                this.concurrency = false;
-                agentCode = await this.getPollingActivationDbAgent();
+            // unless the user explicitly asked for this agent
+            if (!this.argv.agent && this.agent.getConcurrency() > 1 && isConcurrencyNotSupported(e)) {
+                this.useNonConcurrentAgent(invoker);
+                agentCode = await this.agent.getCode(agentAction);
                 await this.pushAgent(agentAction, agentCode, backupName);
+            } else {
+                throw e;
             }
         }
-        debug2(`installed agent type '${agentName}' in place of action '${this.actionName}'`);
+        debug2(`installed agent type '${this.agentName}' in place of action '${this.actionName}'`);
+    }
+
+    // openwhisk does not support concurrent nodejs actions
+    useNonConcurrentAgent(invoker) {
+        log.log(`The Openwhisk server does not support concurrent actions, using alternative agent. Consider using --agent ngrok for a possibly faster agent.`);
+        this.agentName = "activationdb";
+        this.agent = new (agents.getAgentClass(this.agentName))(this, invoker);
     }
 
     stop() {
         this.polling = false;
+        if (this.agent) {
+            this.agent.stop();
+        }
+    }
+
+    // prefix for activation logs, set if multiple actions are debugged
+    logPrefix() {
+        return this.argv.logPrefix || "";
     }
 
     async shutdown() {
@@ -248,9 +510,9 @@ class AgentMgr {
                 await this.restoreAction();
             }
         } finally {
-            if (this.ngrokAgent) {
-                await this.ngrokAgent.stop();
-                log.debug("ngrok shut down");
+            if (this.agent) {
+                await this.agent.shutdown();
+                log.debug(`agent ${this.agentName} shut down`);
             }
         }
     }
@@ -258,91 +520,37 @@ class AgentMgr {
     // --------------------------------------< polling >-------------------
 
     async waitForActivations() {
-        this.activationsSeen = this.activationsSeen || {};
-
         // secondary loop to get next activation
-        // the $waitForActivation agent activation will block, but only until
-        // it times out, hence we need to retry when it fails
+        // the agent will block, but only until it times out, hence we need to retry
         while (this.polling) {
             try {
-                let activation;
-                if (this.concurrency) {
-                    // invoke - blocking for up to 1 minute
-                    activation = await this.wsk.actions.invoke({
-                        name: this.actionName,
-                        params: {
-                            $waitForActivation: true
-                        },
-                        blocking: true
-                    });
+                const params = await this.agent.waitForActivation();
 
-                    log.verboseWrite(".");
+                if (params === null) {
+                    return null;
 
-                } else {
-                    // poll for the newest activation
-                    const since = Date.now();
-
-                    // older openwhisk only allows the name of an action when filtering activations
-                    // newer openwhisk versions want package/name
-                    let name = this.actionName;
-                    if (await this.openwhiskSupports("activationListFilterOnlyBasename")) {
-                        if (this.actionName.includes("/")) {
-                            name = this.actionName.substring(this.actionName.lastIndexOf("/") + 1);
-                        }
+                } else if (params) {
+                    const marker = this.agent.getActivationMarker();
+                    if (!params.$activationId || (marker && !params[marker])) {
+                        log.warn(`${this.logPrefix()}Response of ${this.actionName} is not an activation from the agent, it might have been restored or deployed again. Ending debug session.`);
+                        log.verbose(`${this.logPrefix()}Response:`, params);
+                        this.agentReplaced = true;
+                        return null;
                     }
-
-                    while (true) {
-                        const activations = await this.wsk.activations.list({
-                            name: `${name}_wskdebug_invoked`,
-                            since: since,
-                            limit: 1, // get the most recent one only
-                            docs: true // include results
-                        });
-
-                        if (activations && activations.length >= 1) {
-                            const a = activations[0];
-                            if (a.response && a.response.result && !this.activationsSeen[a.activationId]) {
-                                activation = a;
-                                if (!activation.response.success) {
-                                    throw {
-                                        error: activation
-                                    };
-                                }
-                                break;
-                            }
-                        }
-
-                        log.verboseWrite(".");
-
-                        // need to limit load on openwhisk (activation list)
-                        await sleep(1000);
+                    if (marker) {
+                        delete params[marker];
                     }
-                }
-
-                log.verboseWrite(".");
-
-                // check for successful response with a new activation
-                if (activation && activation.response) {
-                    const params = activation.response.result;
-
-                    // mark this as seen so we don't reinvoke it
-                    this.activationsSeen[activation.activationId] = true;
 
                     log.verbose(); // because of the .....
                     log.log();
-                    log.highlight("Activation: ", params.$activationId);
+                    if (params.$wskdebugShadow) {
+                        delete params.$wskdebugShadow;
+                        this.shadowActivations.add(params.$activationId);
+                        log.highlight(`${this.logPrefix()}Activation: `, `${params.$activationId} (shadow, result will be discarded)`);
+                    } else {
+                        log.highlight(`${this.logPrefix()}Activation: `, params.$activationId);
+                    }
                     return params;
-
-                } else if (activation && activation.activationId) {
-                    // ignore this and retry.
-                    // usually means the action did not respond within one minute,
-                    // which in turn is unlikely for the agent who should exit itself
-                    // after 50 seconds, so can only happen if there was some delay
-                    // outside the action itself
-
-                } else {
-                    // unexpected, just log and retry
-                    log.log("Unexpected empty response while waiting for new activations:", activation);
                 }
 
             } catch (e) {
@@ -357,13 +565,10 @@ class AgentMgr {
                     log.log("Graceful shutdown requested by agent (only for unit tests)");
                     return null;
 
-                } else if (e.statusCode === 503 && !this.concurrency) {
-                    // 503 => openwhisk activation DB likely overloaded with requests, warn, wait a bit and retry
-
-                    log.verbose("x");
-                    log.warn("Server responded with 503 while looking for new activation records. Consider using --ngrok option.")
-
-                    await sleep(5000);
+                } else if (errorCode === 44) {
+                    // 44 => watchdog of the agent restored the original action
+                    log.warn(`${this.logPrefix()}${getActivationError(e).error} Ending debug session.`);
+                    return null;
 
                 } else {
                     // otherwise log error and abort
@@ -377,22 +582,68 @@ class AgentMgr {
             // some small wait to avoid too many requests in case things run amok
             await sleep(100);
         }
+        return null;
     }
 
     async completeActivation(activationId, result, duration) {
-        log.succeed(`Completed activation ${activationId} in ` + log.highlightColor(`${duration/1000.0} sec`));
-        log.verbose("Result:", result);
+        if (this.shadowActivations.delete(activationId)) {
+            log.succeed(`${this.logPrefix()}Completed shadow activation ${activationId} in ` + log.highlightColor(`${duration/1000.0} sec`) + ", result discarded");
+            log.verbose(`${this.logPrefix()}Result:`, result);
+            return true;
+        }
+        log.succeed(`${this.logPrefix()}Completed activation ${activationId} in ` + log.highlightColor(`${duration/1000.0} sec`));
+        log.verbose(`${this.logPrefix()}Result:`, result);
 
+        return this.passResult(activationId, result);
+    }
+
+    // --fallback-on-error: have the agent invoke the original action instead
+    async fallbackActivation(activationId, reason) {
+        if (this.shadowActivations.delete(activationId)) {
+            log.warn(`${this.logPrefix()}Shadow activation ${activationId} failed: ${reason}`);
+            return true;
+        }
+        log.warn(`${this.logPrefix()}Activation ${activationId} falls back to original action: ${reason}`);
+
+        return this.passResult(activationId, { $wskdebugFallback: reason });
+    }
+
+    // --compare: invoke the original action (backup copy) with the same parameters.
+    // Returns { status, result, duration } or undefined if it could not be invoked.
+    async invokeOriginal(params) {
+        const start = Date.now();
         try {
-            result.$activationId = activationId;
-            await this.wsk.actions.invoke({
-                name: this.concurrency ? this.actionName : `${this.actionName}_wskdebug_completed`,
-                params: result,
-                blocking: true,
-                headers: {
-                    "X-OW-EXTRA-LOGGING": "on"
+            await this.createBackup;
+
+            let activation;
+            try {
+                activation = await this.wsk.actions.invoke({
+                    name: getActionCopyName(this.actionName),
+                    params: params,
+                    blocking: true
+                });
+            } catch (e) {
+                // application errors come back as 502 with the activation
+                if (!e.error || !e.error.response) {
+                    throw e;
                 }
-            });
+                activation = e.error;
+            }
+            const response = activation.response || {};
+            return {
+                // still running after 1 minute if there is no response
+                status: response.status || "timeout",
+                result: response.result,
+                duration: activation.duration !== undefined ? activation.duration : Date.now() - start
+            };
+        } catch (e) {
+            log.warn(`${this.logPrefix()}Could not invoke original action to compare: ${e.message}`);
+        }
+    }
+
+    async passResult(activationId, result) {
+        try {
+            return await this.agent.completeActivation(activationId, result);
         } catch (e) {
             // look for special error codes from agent
             const errorCode = getActivationError(e).code;
@@ -440,37 +691,41 @@ class AgentMgr {
             if (this.actionWithCode) {
                 // normal case during shutdown: we have the original action in memory
                 original = this.actionWithCode;
+            } else if (this.localBackup) {
+                // backup copy is gone or broken
+                original = this.localBackup;
             } else {
                 // the original was fetched before or was backed up in the copy
                 original = await this.wsk.actions.get(copy)
                 log.debug("restore: fetched action original from backup copy");
             }
 
-            // copy the backup (copy) to the regular action
-            await this.wsk.actions.update({
-                name: this.actionName,
-                action: original
-            });
-            log.debug("restore: restored original action");
+            if (await this.isOwnAgentInstalled()) {
+                await this.restoreAndVerify(original);
+            } else {
+                log.warn(`Action ${this.actionName} is no longer the agent of this session, restored by its watchdog or deployed again. Leaving it as is.`);
+            }
 
             if (this.argv.cleanup) {
                 if (!isStartup) {
                     log.log("Removing helper actions due to --cleanup...");
                 }
-                // remove the backup
-                await this.wsk.actions.delete(copy);
+                // remove the backup, which is gone if restored from a local backup
+                await this.wsk.actions.delete(copy).catch(e => {
+                    if (e.statusCode !== 404) {
+                        throw e;
+                    }
+                });
                 log.debug("restore: deleted backup copy");
 
                 // remove any helpers if they exist
-                await deleteActionIfExists(this.wsk, `${this.actionName}_wskdebug_invoked`);
-                await deleteActionIfExists(this.wsk, `${this.actionName}_wskdebug_completed`);
+                await this.removeHelperActions();
 
             } else if (!isStartup) {
                 log.log(`Following helper actions are not removed to keep shutdown fast. Remove using --cleanup if desired.`);
                 log.log(`- ${log.highlightColor(copy)}`);
-                if (!this.concurrency && !this.ngrokAgent) {
-                    log.log("- " + log.highlightColor(`${this.actionName}_wskdebug_invoked`));
-                    log.log("- " + log.highlightColor(`${this.actionName}_wskdebug_completed`));
+                for (const helper of this.agent ? this.agent.getHelperActions() : []) {
+                    log.log("- " + log.highlightColor(helper));
                 }
                 log.log();
             }
@@ -479,28 +734,107 @@ class AgentMgr {
 
         } catch (e) {
             log.error("Error while restoring original action:", e);
+            this.restoreFailed = true;
+            this.restoreError = e;
         }
     }
 
-    // --------------------------------------< agent types >------------------
+    // copy the backup (copy) to the regular action and check that it arrived, retrying on mismatch
+    async restoreAndVerify(original) {
+        let changes;
+        for (let attempt = 1; attempt <= RESTORE_ATTEMPTS; attempt++) {
+            if (attempt > 1) {
+                log.warn(`Restored action ${this.actionName} does not match the original, retrying...`);
+                await sleep(RESTORE_RETRY_DELAY);
+            }
+            await this.wsk.actions.update({
+                name: this.actionName,
+                action: original
+            });
+            log.debug("restore: restored original action");
+
+            const restored = await this.wsk.actions.get(this.actionName);
+            changes = diff(getRestoredFields(original), getRestoredFields(restored));
+            if (changes.length === 0) {
+                log.debug("restore: verified restored action");
+                return;
+            }
+        }
+        throw new Error(`Could not verify restored action ${this.actionName}, it differs from the original (original => current):\n`
+            + formatDiff(changes).map(line => `  ${line}`).join("\n"));
+    }
 
-    async getConcurrencyAgent() {
-        return fs.readFileSync(`${__dirname}/../agent/agent-concurrency.js`, {encoding: 'utf8'});
+    // with the watchdog, the agent might have restored the original action by itself,
+    // which then might have been deployed again, hence only restore over our own agent
+    async isOwnAgentInstalled() {
+        const watchdog = this.watchdog;
+        // unless a poll already got a response from something else than the agent
+        if (!this.agentReplaced) {
+            if (!watchdog) {
+                return true;
+            }
+            // too early for the watchdog to have fired, wskdebug cannot have been silent for longer than the session
+            const now = Date.now();
+            if ((!watchdog.deadline || now < watchdog.deadline) && (!watchdog.silence || now - watchdog.started < watchdog.silence * 1000)) {
+                return true;
+            }
+        }
+        const action = await getWskActionWithoutCode(this.wsk, this.actionName);
+        return action !== null && isAgent(action) && (!watchdog || getAgentInfo(action).started === watchdog.started);
     }
 
-    async getPollingActivationDbAgent() {
-        // this needs 2 helper actions in addition to the agent in place of the action
-        await this.createHelperAction(`${this.actionName}_wskdebug_invoked`,   `${__dirname}/../agent/echo.js`);
-        await this.createHelperAction(`${this.actionName}_wskdebug_completed`, `${__dirname}/../agent/echo.js`);
+    /**
+     * Restore the original action if an agent was left behind by a wskdebug
+     * that got killed. Used by `wskdebug restore`, does not require an agent setup.
+     * Returns the original action, or undefined if no agent was installed.
+     */
+    async restoreLeftoverAgent() {
+        const action = await getWskActionWithoutCode(this.wsk, this.actionName);
+        if (action === null) {
+            throw new Error(`Action not found: ${this.actionName}`);
+        }
+
+        if (!isAgent(action)) {
+            log.log(`No agent installed on ${log.highlightColor(this.actionName)}, nothing to restore.`);
+            if (this.argv.cleanup) {
+                // backup and helpers are left behind by sessions without --cleanup
+                await deleteActionIfExists(this.wsk, getActionCopyName(this.actionName));
+                await this.removeHelperActions();
+            }
+            return;
+        }
+
+        const agentInfo = getAgentInfo(action);
+        if (isOwnedByOtherSession(agentInfo.owner) && !this.argv.force) {
+            const since = new Date(agentInfo.started).toLocaleString();
+            throw new Error(`Action ${this.actionName} is being debugged by ${describeOwner(agentInfo.owner)} since ${since}. Use --force to restore it anyway, e.g. if that session is no longer running.`);
+        }
+
+        // throws if the backup to restore from is missing or broken and there is no local backup
+        await this.readBackupOfAgent(action);
 
-        let agentCode = fs.readFileSync(`${__dirname}/../agent/agent-activationdb.js`, {encoding: 'utf8'});
-        // rewrite the code to pass config (we want to avoid fiddling with default params of the action)
-        if (await this.openwhiskSupports("activationListFilterOnlyBasename")) {
-            agentCode = agentCode.replace("const activationListFilterOnlyBasename = false;", "const activationListFilterOnlyBasename = true;");
+        // quiet like on startup, the restore command reports itself
+        const original = await this.restoreAction(true);
+        if (!original) {
+            throw new Error(`Could not restore action ${this.actionName}: ${this.restoreError.message}`);
         }
-        return agentCode;
+        return original;
     }
 
+    async removeHelperActions() {
+        // helpers of the activationdb agent might be left from any earlier session
+        const helpers = new Set([
+            `${this.actionName}_wskdebug_invoked`,
+            `${this.actionName}_wskdebug_completed`,
+            ...(this.agent ? this.agent.getHelperActions() : [])
+        ]);
+        for (const helper of helpers) {
+            await deleteActionIfExists(this.wsk, helper);
+        }
+    }
+
+    // --------------------------------------< agent action >------------------
+
     async pushAgent(action, agentCode, backupName) {
         // overwrite action with agent
 
@@ -512,26 +846,73 @@ class AgentMgr {
             return;
         }
 
+        // depends on the agent, which might change if concurrency is not supported
+        this.fallback = getFallbackPolicy(this.argv, this.agent, this.agentName);
+        this.hitPolicy = getSupportedHitPolicy(this.requestedHitPolicy, this.agent, this.agentName);
+        // a reused agent keeps its identity for the watchdog, unless more than half its session is gone
+        this.watchdog = getWatchdog(this.argv, this.agent, this.agentName, Date.now());
+        if (this.reusableAgent && this.watchdog) {
+            const watchdog = getWatchdog(this.argv, this.agent, this.agentName, getAgentInfo(this.reusableAgent).started);
+            if (watchdog && (!watchdog.deadline || watchdog.deadline - Date.now() > (this.watchdog.deadline - Date.now()) / 2)) {
+                this.watchdog = watchdog;
+            }
+        }
+        const started = this.watchdog ? this.watchdog.started : Date.now();
+
+        const parameters = [...(action.parameters || [])];
+        if (this.hitPolicy) {
+            parameters.push({ key: "$hitPolicy", value: this.hitPolicy });
+        }
+        if (this.argv.shadow) {
+            parameters.push({ key: "$shadow", value: true });
+        }
+        if (this.fallback) {
+            parameters.push({ key: "$fallback", value: this.fallback });
+        }
+        if (this.agent.getHeartbeatTimeout() > 0) {
+            parameters.push({ key: "$heartbeatTimeout", value: this.agent.getHeartbeatTimeout() });
+        }
+        if (this.watchdog) {
+            parameters.push({ key: "$watchdog", value: this.watchdog });
+        }
+
+        const agentAction = {
+            exec: {
+                kind: nodejs8 ? "nodejs:default" : "blackbox",
+                image: nodejs8 ? undefined : "openwhisk/action-nodejs-v8",
+                code: agentCode
+            },
+            limits: getAgentLimits(this.argv, await this.getOpenWhiskLimits(), {
+                timeout: 300,
+                maximise: true,
+                concurrency: this.agent.getConcurrency()
+            }),
+            annotations: [
+                ...action.annotations,
+                { key: "provide-api-key", value: true },
+                { key: "wskdebug", value: true },
+                { key: AGENT_TYPE_ANNOTATION, value: this.agentName },
+                { key: AGENT_STARTED_ANNOTATION, value: started },
+                { key: AGENT_VERSION_ANNOTATION, value: WSKDEBUG_VERSION },
+                { key: AGENT_CODE_HASH_ANNOTATION, value: crypto.createHash("sha256").update(agentCode).digest("hex") },
+                { key: AGENT_OWNER_ANNOTATION, value: getSessionOwner() },
+                { key: "description", value: `wskdebug agent. temporarily installed over original action. original action backup at ${backupName}.` }
+            ],
+            parameters: parameters
+        };
+
+        // the owner is the lock against other sessions, so an agent of another process always records this one,
+        // which also starts new containers without the hit counters and queued activations of the previous session
+        if (this.reusableAgent
+            && describeOwner(getAgentInfo(this.reusableAgent).owner) === describeOwner(getSessionOwner())
+            && diff(getAgentSignature(this.reusableAgent), getAgentSignature(agentAction)).length === 0) {
+            log.debug("reusing installed agent as is");
+            return;
+        }
+
         await this.wsk.actions.update({
             name: this.actionName,
-            action: {
-                exec: {
-                    kind: nodejs8 ? "nodejs:default" : "blackbox",
-                    image: nodejs8 ? undefined : "openwhisk/action-nodejs-v8",
-                    code: agentCode
-                },
-                limits: {
-                    timeout: (this.argv.agentTimeout || 300) * 1000,
-                    concurrency: this.concurrency ? 200: 1
-                },
-                annotations: [
-                    ...action.annotations,
-                    { key: "provide-api-key", value: true },
-                    { key: "wskdebug", value: true },
-                    { key: "description", value: `wskdebug agent. temporarily installed over original action. original action backup at ${backupName}.` }
-                ],
-                parameters: action.parameters || []
-            }
+            action: agentAction
         });
     }
 
@@ -546,9 +927,7 @@ class AgentMgr {
                     image: nodejs8 ? undefined : "openwhisk/action-nodejs-v8",
                     code: fs.readFileSync(file, {encoding: 'utf8'})
                 },
-                limits: {
-                    timeout: (this.argv.agentTimeout || 30) * 1000
-                },
+                limits: getAgentLimits(this.argv, await this.getOpenWhiskLimits(), { timeout: 30 }),
                 annotations: [
                     { key: "description", value: `wskdebug agent helper. temporarily installed.` }
                 ]
@@ -576,12 +955,31 @@ class AgentMgr {
         return this.openwhiskVersion;
     }
 
+    // limits from the system info, such as max_action_duration, empty if unknown
+    async getOpenWhiskLimits() {
+        if (this.openwhiskLimits === undefined) {
+            try {
+                const json = await this.wsk.actions.client.request("GET", "/");
+                this.openwhiskLimits = (json && json.limits) || {};
+            } catch (e) {
+                log.warn("Could not retrieve OpenWhisk limits:", e.message);
+                this.openwhiskLimits = {};
+            }
+        }
+        return this.openwhiskLimits;
+    }
+
     async openwhiskSupports(feature) {
         const FEATURES = {
             // guesstimated
             activationListFilterOnlyBasename: v => v.startsWith("2018") || v.startsWith("2017"),
             // hack
             nodejs8: v => !v.startsWith("2018") && !v.startsWith("2017"),
+            // from the system info, assumed if not reported, in which case pushing the agent will tell
+            concurrency: async () => {
+                const max = (await this.getOpenWhiskLimits()).max_action_concurrency;
+                return max === undefined || max > 1;
+            },
             // concurrency: async (_, wsk) => {
             //     // check swagger api docs instead of version to see if concurrency is supported
             //     try {
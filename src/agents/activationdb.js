@@ -0,0 +1,143 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// agent for openwhisks without concurrency support: activations and results are passed
+// through the activation db, using the <action>_wskdebug_invoked and _completed helper actions
+
+'use strict';
+
+const Agent = require('./agent');
+const fs = require('fs-extra');
+const sleep = require('util').promisify(setTimeout);
+const log = require('../log');
+
+class ActivationDbAgent extends Agent {
+
+    constructor(agentMgr, invoker) {
+        super(agentMgr, invoker);
+        this.activationsSeen = {};
+    }
+
+    supportsShadow() {
+        // copies are stored as activation of the helper action like any other activation
+        return true;
+    }
+
+    supportsHitPolicy(policy) {
+        // one activation per container, so no shared counters
+        return policy === "percent" || policy === "window";
+    }
+
+    supportsFallback(policy) {
+        // the agent action cannot tell when wskdebug picks up an activation
+        return policy === "error";
+    }
+
+    getHelperActions() {
+        return [`${this.actionName}_wskdebug_invoked`, `${this.actionName}_wskdebug_completed`];
+    }
+
+    async getCode() {
+        // this needs 2 helper actions in addition to the agent in place of the action
+        for (const name of this.getHelperActions()) {
+            await this.agentMgr.createHelperAction(name, `${__dirname}/../../agent/echo.js`);
+        }
+
+        let agentCode = Agent.insertSharedCode(fs.readFileSync(`${__dirname}/../../agent/agent-activationdb.js`, {encoding: 'utf8'}));
+        // rewrite the code to pass config (we want to avoid fiddling with default params of the action)
+        if (await this.agentMgr.openwhiskSupports("activationListFilterOnlyBasename")) {
+            agentCode = agentCode.replace("const activationListFilterOnlyBasename = false;", "const activationListFilterOnlyBasename = true;");
+        }
+        return agentCode;
+    }
+
+    async waitForActivation() {
+        try {
+            const activation = await this.pollActivation();
+
+            // mark this as seen so we don't reinvoke it
+            this.activationsSeen[activation.activationId] = true;
+
+            return Agent.getActivationParams(activation);
+
+        } catch (e) {
+            if (e.statusCode === 503) {
+                // 503 => openwhisk activation DB likely overloaded with requests, warn, wait a bit and retry
+                log.verbose("x");
+                log.warn("Server responded with 503 while looking for new activation records. Consider using --agent ngrok.");
+
+                await sleep(5000);
+                return undefined;
+            }
+            throw e;
+        }
+    }
+
+    // poll for the newest activation
+    async pollActivation() {
+        const since = Date.now();
+
+        // older openwhisk only allows the name of an action when filtering activations
+        // newer openwhisk versions want package/name
+        let name = this.actionName;
+        if (await this.agentMgr.openwhiskSupports("activationListFilterOnlyBasename")) {
+            if (this.actionName.includes("/")) {
+                name = this.actionName.substring(this.actionName.lastIndexOf("/") + 1);
+            }
+        }
+
+        while (true) {
+            const activations = await this.wsk.activations.list({
+                name: `${name}_wskdebug_invoked`,
+                since: since,
+                limit: 1, // get the most recent one only
+                docs: true // include results
+            });
+
+            if (activations && activations.length >= 1) {
+                const a = activations[0];
+                if (a.response && a.response.result && !this.activationsSeen[a.activationId]) {
+                    if (!a.response.success) {
+                        throw {
+                            error: a
+                        };
+                    }
+                    return a;
+                }
+            }
+
+            log.verboseWrite(".");
+
+            // need to limit load on openwhisk (activation list)
+            await sleep(1000);
+        }
+    }
+
+    async completeActivation(activationId, result) {
+        await this.wsk.actions.invoke({
+            name: `${this.actionName}_wskdebug_completed`,
+            params: { ...result, $activationId: activationId },
+            blocking: true,
+            headers: {
+                "X-OW-EXTRA-LOGGING": "on"
+            }
+        });
+        return true;
+    }
+}
+
+module.exports = ActivationDbAgent;
@@ -0,0 +1,185 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// base class and interface of all agents, including plugins (--agent <path or npm package>)
+//
+// An agent is the action temporarily installed in place of the original action,
+// which forwards its activations to wskdebug, plus the local counterpart in wskdebug
+// which receives them. AgentMgr takes care of installing and restoring the action.
+
+'use strict';
+
+const fs = require('fs-extra');
+const log = require('../log');
+
+// lines in the agent action code replaced by shared agent code, such as the hit condition
+// language of agent/condition.js or the helpers of agent/common.js
+const INSERT_MARKER = /\/\* wskdebug: insert agent\/([\w-]+\.js) \*\//g;
+
+// seconds
+const DEFAULT_HEARTBEAT_TIMEOUT = 30;
+
+class Agent {
+
+    /**
+     * @param {AgentMgr} agentMgr provides argv, wsk, actionName and helpers such as createHelperAction()
+     * @param {OpenWhiskInvoker} invoker the local debug container, for agents running activations themselves
+     */
+    constructor(agentMgr, invoker) {
+        this.agentMgr = agentMgr;
+        this.invoker = invoker;
+        this.argv = agentMgr.argv;
+        this.wsk = agentMgr.wsk;
+        this.actionName = agentMgr.actionName;
+    }
+
+    /**
+     * Returns the javascript code of the agent action. Can add parameters to the agentAction
+     * and create helper actions. Required.
+     */
+    async getCode(agentAction) { // eslint-disable-line no-unused-vars
+        throw new Error(`Agent ${this.constructor.name} does not implement getCode()`);
+    }
+
+    /**
+     * Concurrency limit of the agent action.
+     */
+    getConcurrency() {
+        return 1;
+    }
+
+    /**
+     * If the agent action falls back to the original action for this policy of the
+     * $fallback parameter: "timeout", "queue" or "error". For "error", the agent action
+     * must invoke the original action if the result has a $wskdebugFallback reason.
+     */
+    supportsFallback(policy) { // eslint-disable-line no-unused-vars
+        return false;
+    }
+
+    /**
+     * If the agent action supports the $shadow parameter: invoke the original action and pass
+     * a copy of the activation flagged with $wskdebugShadow to wskdebug without waiting for its result.
+     */
+    supportsShadow() {
+        return false;
+    }
+
+    /**
+     * If the agent action applies this policy of the $hitPolicy parameter after the hit condition:
+     * "first", "every", "percent" or "window". "first" and "every" need activation counters
+     * shared by all activations of the agent action.
+     */
+    supportsHitPolicy(policy) { // eslint-disable-line no-unused-vars
+        return false;
+    }
+
+    /**
+     * Seconds of silence from wskdebug after which the agent action treats the debugger as gone
+     * and invokes the original action, passed as $heartbeatTimeout parameter. 0 if not supported.
+     */
+    getHeartbeatTimeout() {
+        return 0;
+    }
+
+    /**
+     * If the agent action restores the original action by itself after the session deadline
+     * or a long silence of wskdebug, based on the $watchdog parameter.
+     */
+    supportsWatchdog() {
+        return false;
+    }
+
+    /**
+     * Parameter that the agent action sets on each activation it passes to wskdebug, if any.
+     * Activations without it end the debug session, e.g. if wskdebug invokes the action
+     * to poll and gets the result of the original action restored in the meantime.
+     */
+    getActivationMarker() {
+        return undefined;
+    }
+
+    /**
+     * Names of helper actions created by getCode(), removed on --cleanup.
+     */
+    getHelperActions() {
+        return [];
+    }
+
+    /**
+     * Wait for the next activation. Returns the activation parameters including $activationId,
+     * undefined to have AgentMgr retry or null to end the debug session. Errors with
+     * code 42 (retry) or 43 (end) from the agent action are handled by AgentMgr.
+     */
+    async waitForActivation() {
+        throw new Error(`Agent ${this.constructor.name} does not implement waitForActivation()`);
+    }
+
+    /**
+     * Pass the result of an activation to the agent action. Return false to end the debug session.
+     */
+    async completeActivation(activationId, result) { // eslint-disable-line no-unused-vars
+        return true;
+    }
+
+    /**
+     * Called when the debug session is asked to end, e.g. to abort a blocking waitForActivation().
+     */
+    stop() {
+    }
+
+    /**
+     * Called when the debug session ends.
+     */
+    async shutdown() {
+    }
+
+    // --heartbeat-timeout, for agents supporting it
+    static getHeartbeatTimeoutOption(argv) {
+        return argv.heartbeatTimeout === undefined ? DEFAULT_HEARTBEAT_TIMEOUT : argv.heartbeatTimeout;
+    }
+
+    // agent action code with the shared code of agent/<file>.js inserted in place of each
+    // "/* wskdebug: insert agent/<file>.js */" line
+    static insertSharedCode(code) {
+        // function to not interpret $ patterns in the code
+        return code.replace(INSERT_MARKER, (marker, file) =>
+            fs.readFileSync(`${__dirname}/../../agent/${file}`, {encoding: 'utf8'})
+                .split("// exports for wskdebug")[0]
+        );
+    }
+
+    // openwhisk activation of the agent action => activation parameters
+    static getActivationParams(activation) {
+        if (activation && activation.response) {
+            return activation.response.result;
+
+        } else if (activation && activation.activationId) {
+            // ignore this and retry.
+            // usually means the action did not respond within one minute,
+            // which in turn is unlikely for the agent who should exit itself
+            // after 50 seconds, so can only happen if there was some delay
+            // outside the action itself
+            return undefined;
+        }
+        // unexpected, just log and retry
+        log.log("Unexpected empty response while waiting for new activations:", activation);
+        return undefined;
+    }
+}
+
+module.exports = Agent;
@@ -0,0 +1,105 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// registry of agents selectable with --agent: the built-in agents in this directory,
+// or plugins loaded from a path or npm package
+
+'use strict';
+
+const path = require('path');
+
+const BUILTIN_AGENTS = ["concurrency", "activationdb", "ngrok", "relay"];
+const DEFAULT_AGENT = "concurrency";
+
+function isPath(name) {
+    return name.startsWith(".") || path.isAbsolute(name) || name.endsWith(".js");
+}
+
+function loadPlugin(name) {
+    let modulePath = name;
+    if (isPath(name)) {
+        modulePath = path.resolve(name);
+    } else {
+        // npm package, preferably installed in the current project, otherwise next to wskdebug
+        try {
+            modulePath = require.resolve(name, { paths: [process.cwd()] });
+        } catch (e) {
+            // leave it to require() below
+        }
+    }
+
+    let AgentClass;
+    try {
+        AgentClass = require(modulePath);
+    } catch (e) {
+        throw new Error(`Could not load agent '${name}': ${e.message}`);
+    }
+    if (typeof AgentClass !== "function"
+        || typeof AgentClass.prototype.getCode !== "function"
+        || typeof AgentClass.prototype.waitForActivation !== "function") {
+        throw new Error(`Agent '${name}' must export a class extending src/agents/agent.js and implementing getCode() and waitForActivation().`);
+    }
+    return AgentClass;
+}
+
+module.exports = {
+    /**
+     * Name of the agent to use, from --agent or the shortcuts --ngrok and --relay-url.
+     */
+    getAgentName(argv) {
+        if (argv.ngrok && argv.relayUrl) {
+            throw new Error("--ngrok cannot be used with --relay-url.");
+        }
+        if (argv.ngrok) {
+            if (argv.agent && argv.agent !== "ngrok") {
+                throw new Error(`--ngrok cannot be used with --agent ${argv.agent}.`);
+            }
+            return "ngrok";
+        }
+        if (argv.relayUrl) {
+            if (argv.agent && argv.agent !== "relay") {
+                throw new Error(`--relay-url cannot be used with --agent ${argv.agent}.`);
+            }
+            return "relay";
+        }
+        if (argv.agent === "relay") {
+            throw new Error("--agent relay requires --relay-url.");
+        }
+        return argv.agent || DEFAULT_AGENT;
+    },
+
+    /**
+     * Returns the agent class for a built-in agent name or a plugin path or npm package name.
+     */
+    getAgentClass(name) {
+        if (name === "ngrok") {
+            try {
+                // optional dependency, only needed for the ngrok agent
+                return require('./ngrok');
+            } catch (e) {
+                throw new Error("ngrok dependency required for --ngrok is not installed. Please install it using:\n\n    npm install -g ngrok --unsafe-perm=true\n");
+            }
+        }
+        if (BUILTIN_AGENTS.includes(name)) {
+            return require(`./${name}`);
+        }
+        return loadPlugin(name);
+    },
+
+    BUILTIN_AGENTS,
+    DEFAULT_AGENT
+};
@@ -0,0 +1,125 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// default agent using a concurrent nodejs action: one container receives all activations,
+// wskdebug waits for them by invoking the agent itself
+
+'use strict';
+
+const Agent = require('./agent');
+const fs = require('fs-extra');
+const log = require('../log');
+
+class ConcurrencyAgent extends Agent {
+
+    async getCode() {
+        return Agent.insertSharedCode(fs.readFileSync(`${__dirname}/../../agent/agent-concurrency.js`, {encoding: 'utf8'}));
+    }
+
+    getConcurrency() {
+        return 200;
+    }
+
+    supportsShadow() {
+        // copies are queued in the agent action like any other activation
+        return true;
+    }
+
+    supportsHitPolicy() {
+        // all activations run in the same container, sharing the counters
+        return true;
+    }
+
+    supportsFallback() {
+        // activations are queued in the agent action
+        return true;
+    }
+
+    getHeartbeatTimeout() {
+        return Agent.getHeartbeatTimeoutOption(this.argv);
+    }
+
+    supportsWatchdog() {
+        return true;
+    }
+
+    getActivationMarker() {
+        // polls invoke the action, which might no longer be the agent
+        return "$wskdebugAgent";
+    }
+
+    async waitForActivation() {
+        this.startHeartbeat();
+
+        // invoke - blocking for up to 1 minute
+        this.polling = true;
+        let activation;
+        try {
+            activation = await this.wsk.actions.invoke({
+                name: this.actionName,
+                params: {
+                    $waitForActivation: true
+                },
+                blocking: true
+            });
+        } finally {
+            this.polling = false;
+        }
+
+        log.verboseWrite(".");
+
+        return Agent.getActivationParams(activation);
+    }
+
+    // polling tells the agent action that wskdebug is alive. if it does not poll
+    // because all activations it can handle are running, send heartbeats instead
+    startHeartbeat() {
+        const timeout = this.getHeartbeatTimeout();
+        if (this.heartbeat || !timeout) {
+            return;
+        }
+        this.heartbeat = setInterval(() => {
+            if (!this.polling) {
+                this.wsk.actions.invoke({
+                    name: this.actionName,
+                    params: {
+                        $heartbeat: true
+                    }
+                }).catch(e => log.debug(`heartbeat to agent failed: ${e.message}`));
+            }
+        }, timeout * 1000 / 3);
+        this.heartbeat.unref();
+    }
+
+    stop() {
+        clearInterval(this.heartbeat);
+    }
+
+    async completeActivation(activationId, result) {
+        await this.wsk.actions.invoke({
+            name: this.actionName,
+            params: { ...result, $activationId: activationId },
+            blocking: true,
+            headers: {
+                "X-OW-EXTRA-LOGGING": "on"
+            }
+        });
+        return true;
+    }
+}
+
+module.exports = ConcurrencyAgent;
@@ -15,8 +15,12 @@
  * limitations under the License.
  */
 
+// agent forwarding activations through the 3rd party service ngrok.com to a local server,
+// which holds the request of the agent action until wskdebug passed on the result
+
 'use strict';
 
+const Agent = require('./agent');
 const fs = require('fs-extra');
 const http = require('http');
 const ngrok = require('ngrok');
@@ -25,13 +29,38 @@ const util = require('util');
 const crypto = require("crypto");
 const log = require('../log');
 
-class NgrokAgent {
-    constructor(argv, invoker) {
-        this.argv = argv;
-        this.invoker = invoker;
+// millis to wait for an activation before AgentMgr asks again
+const WAIT_TIMEOUT = 1000;
+
+class NgrokAgent extends Agent {
+
+    constructor(agentMgr, invoker) {
+        super(agentMgr, invoker);
+        // activations received from the agent action, not yet picked up by wskdebug
+        this.queue = [];
+        // open requests of the agent action by activation id: { res, heartbeat }
+        this.pending = new Map();
+    }
+
+    supportsHitPolicy(policy) {
+        // one activation per container, so no shared counters
+        return policy === "percent" || policy === "window";
+    }
+
+    supportsFallback(policy) {
+        // activations go straight to wskdebug, there is no queue
+        return policy === "error";
+    }
+
+    getHeartbeatTimeout() {
+        return Agent.getHeartbeatTimeoutOption(this.argv);
     }
 
-    async getAgent(action) {
+    supportsWatchdog() {
+        return true;
+    }
+
+    async getCode(action) {
         log.verbose("Setting up ngrok", this.argv.ngrokRegion ? `(region: ${this.argv.ngrokRegion})` : "");
 
         // 1. start local server on random port
@@ -65,10 +94,62 @@ class NgrokAgent {
         log.step(`Ngrok forwarding: ${h(ngrokUrl)} => http://localhost:${h(this.ngrokServerPort)}`);
         log.debug(`ngrok agent auth key: ${this.ngrokAuth}`)
 
-        return fs.readFileSync(`${__dirname}/../../agent/agent-ngrok.js`, {encoding: 'utf8'});
+        return Agent.insertSharedCode(fs.readFileSync(`${__dirname}/../../agent/agent-ngrok.js`, {encoding: 'utf8'}));
+    }
+
+    async waitForActivation() {
+        if (this.queue.length === 0 && !this.stopped) {
+            // ngrokServer keeps running in background and wakes us up
+            await new Promise(resolve => {
+                const timeout = setTimeout(resolve, WAIT_TIMEOUT);
+                this.wakeUp = () => {
+                    clearTimeout(timeout);
+                    resolve();
+                };
+            });
+            delete this.wakeUp;
+        }
+        if (this.stopped) {
+            return null;
+        }
+        return this.queue.shift();
+    }
+
+    async completeActivation(activationId, result) {
+        const pending = this.pending.get(activationId);
+        if (!pending) {
+            log.warn(`Activation ${activationId} is no longer waiting on the ngrok agent.`);
+            return true;
+        }
+        this.pending.delete(activationId);
+        clearInterval(pending.heartbeat);
+
+        if (!pending.res.headersSent) {
+            pending.res.writeHead(200, { "Content-Type": "application/json" });
+        }
+        pending.res.end(JSON.stringify(result));
+        return true;
     }
 
-    async stop() {
+    stop() {
+        this.stopped = true;
+        if (this.wakeUp) {
+            this.wakeUp();
+        }
+    }
+
+    async shutdown() {
+        // activations not completed by wskdebug
+        for (const pending of this.pending.values()) {
+            clearInterval(pending.heartbeat);
+            if (!pending.res.headersSent) {
+                pending.res.statusCode = 502;
+            }
+            // with a heartbeat already sent, the agent action fails on the incomplete json
+            pending.res.end();
+        }
+        this.pending.clear();
+
         try {
             if (this.ngrokServer) {
                 this.ngrokServer.close();
@@ -79,8 +160,8 @@ class NgrokAgent {
         }
     }
 
-    // local http server retrieving forwards from the ngrok agent, running them
-    // as a blocking local invocation and then returning the activation result back
+    // local http server receiving forwards from the ngrok agent, which wskdebug picks up
+    // using waitForActivation() and answers with completeActivation()
     ngrokHandler(req, res) {
         // check authorization against our unique token
         const authHeader = req.headers.authorization;
@@ -97,33 +178,32 @@ class NgrokAgent {
             req.on('data', chunk => {
                 body += chunk.toString();
             });
-            req.on('end', async () => {
+            req.on('end', () => {
+                let params;
                 try {
-                    const params = JSON.parse(body);
-                    const activationId = params.$activationId;
-                    delete params.$activationId;
-
-                    log.verbose(); // because of the .....
-                    log.log();
-                    log.highlight("Activation: ", activationId);
-                    log.verbose("Parameters:", params);
-
-                    const startTime = Date.now();
-
-                    const result = await this.invoker.run(params, activationId);
-
-                    const duration = Date.now() - startTime;
-                    log.succeed(`Completed activation ${activationId} in ` + log.highlightColor(`${duration/1000.0} sec`));
-                    log.verbose("Result:", result);
-
-                    res.statusCode = 200;
-                    res.setHeader("Content-Type", "application/json");
-                    res.end(JSON.stringify(result));
-
+                    params = JSON.parse(body);
                 } catch (e) {
-                    log.error(e);
+                    log.error(`Invalid activation from ngrok agent: ${e.message}`);
                     res.statusCode = 400;
                     res.end();
+                    return;
+                }
+
+                // while the activation waits and runs, send whitespace as heartbeat to the agent action,
+                // which treats the debugger as gone if it does not hear anything
+                let heartbeat;
+                if (this.getHeartbeatTimeout() > 0) {
+                    heartbeat = setInterval(() => {
+                        if (!res.headersSent) {
+                            res.writeHead(200, { "Content-Type": "application/json" });
+                        }
+                        res.write(" ");
+                    }, this.getHeartbeatTimeout() * 1000 / 3);
+                }
+                this.pending.set(params.$activationId, { res, heartbeat });
+                this.queue.push(params);
+                if (this.wakeUp) {
+                    this.wakeUp();
                 }
             });
         } else {
@@ -0,0 +1,156 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// agent forwarding activations through a self-hosted relay (--relay-url, see relay/relay.js):
+// the agent action posts activations to the relay, wskdebug long-polls the relay for them
+
+'use strict';
+
+const Agent = require('./agent');
+const fs = require('fs-extra');
+const http = require('http');
+const https = require('https');
+const crypto = require("crypto");
+const log = require('../log');
+const { SECRET_HEADER } = require('../../relay/relay');
+
+class RelayAgent extends Agent {
+
+    constructor(agentMgr, invoker) {
+        super(agentMgr, invoker);
+        this.relayUrl = this.argv.relayUrl.replace(/\/+$/, "");
+        this.relaySecret = this.argv.relaySecret || process.env.WSKDEBUG_RELAY_SECRET;
+        if (!this.relaySecret) {
+            throw new Error("--relay-url requires the shared secret of the relay, set using --relay-secret or the WSKDEBUG_RELAY_SECRET environment variable.");
+        }
+    }
+
+    async getCode(action) {
+        // unique token per session, authorizes requests and separates sessions on the relay
+        this.relayAuth = crypto.randomBytes(32).toString("hex");
+
+        action.parameters.push({
+            key: "$relayUrl",
+            value: this.relayUrl
+        });
+        action.parameters.push({
+            key: "$relayAuth",
+            value: this.relayAuth
+        });
+        action.parameters.push({
+            key: "$relaySecret",
+            value: this.relaySecret
+        });
+
+        log.step(`Relay forwarding: ${log.highlightColor(this.relayUrl)}`);
+        log.debug(`relay agent auth key: ${this.relayAuth}`);
+
+        return Agent.insertSharedCode(fs.readFileSync(`${__dirname}/../../agent/agent-relay.js`, {encoding: 'utf8'}));
+    }
+
+    supportsShadow() {
+        // copies are queued in the relay, which responds right away
+        return true;
+    }
+
+    supportsHitPolicy(policy) {
+        // one activation per container, so no shared counters
+        return policy === "percent" || policy === "window";
+    }
+
+    supportsFallback() {
+        // the relay queues activations and falls back on timeout or queue size
+        return true;
+    }
+
+    async waitForActivation() {
+        // blocks until an activation arrives or the relay times out the poll
+        const response = await this.request("GET", "/poll");
+        if (this.stopped) {
+            return null;
+        }
+        if (response.status === 204) {
+            log.verboseWrite(".");
+            return undefined;
+        }
+        return response.json;
+    }
+
+    async completeActivation(activationId, result) {
+        const response = await this.request("POST", `/results/${encodeURIComponent(activationId)}`, result);
+        if (response.status === 404) {
+            log.warn(`Activation ${activationId} is no longer waiting on the relay, likely timed out.`);
+        }
+        return true;
+    }
+
+    stop() {
+        this.stopped = true;
+        // end the pending long poll
+        if (this.pollRequest) {
+            this.pollRequest.destroy();
+        }
+    }
+
+    request(method, path, body) {
+        const url = new URL(this.relayUrl + path);
+        const client = url.protocol === "https:" ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = client.request(url, {
+                method: method,
+                headers: {
+                    authorization: this.relayAuth,
+                    [SECRET_HEADER]: this.relaySecret,
+                    "content-type": "application/json"
+                }
+            }, res => {
+                let data = "";
+                res.on("data", chunk => {
+                    data += chunk.toString();
+                });
+                res.on("end", () => {
+                    if (res.statusCode >= 500 || res.statusCode === 401) {
+                        reject(new Error(`Relay ${this.relayUrl} responded with ${res.statusCode}: ${data}`));
+                        return;
+                    }
+                    try {
+                        resolve({
+                            status: res.statusCode,
+                            json: data ? JSON.parse(data) : undefined
+                        });
+                    } catch (e) {
+                        reject(new Error(`Invalid response from relay ${this.relayUrl}: ${e.message}`));
+                    }
+                });
+            });
+            req.on("error", e => {
+                if (this.stopped) {
+                    resolve({ status: 204 });
+                } else {
+                    reject(new Error(`Could not reach relay ${this.relayUrl}: ${e.message}`));
+                }
+            });
+            if (method === "GET") {
+                this.pollRequest = req;
+            }
+            req.end(body === undefined ? undefined : JSON.stringify(body));
+        });
+    }
+}
+
+module.exports = RelayAgent;
@@ -0,0 +1,121 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// local backups of original actions, in case the backup action in openwhisk gets lost:
+// ~/.wskdebug/backups/<apihost>/<namespace>/<action>/<timestamp>_<hash>.json
+
+'use strict';
+
+const log = require('./log');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// per action, the newest backup is always kept
+const MAX_BACKUPS = 10;
+const MAX_BACKUP_AGE_DAYS = 30;
+
+// backups include the parameters of the actions, which often hold secrets
+const DIR_MODE = 0o700;
+const FILE_MODE = 0o600;
+
+// file names sort by time, so a backup within the same millisecond gets the next one
+let lastBackupTime = 0;
+
+function getStateDir() {
+    return process.env.WSKDEBUG_STATE_DIR || path.join(os.homedir(), ".wskdebug");
+}
+
+function hashAction(action) {
+    return crypto.createHash("sha256").update(JSON.stringify(action)).digest("hex");
+}
+
+// namespace without package, action name with package if any
+function getBackupDir(apihost, namespace, actionName) {
+    // fully qualified names start with the namespace
+    const name = actionName.startsWith("/") ? actionName.split("/").slice(2) : actionName.split("/");
+    const segments = [apihost, namespace, ...name]
+        .map(s => s.replace(/[^A-Za-z0-9_.@-]/g, "_").replace(/^\.+$/, "_"));
+    return path.join(getStateDir(), "backups", ...segments);
+}
+
+// newest first, as file names start with the time
+function listBackups(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith(".json"))
+        .sort()
+        .reverse()
+        .map(name => path.join(dir, name));
+}
+
+function pruneBackups(dir) {
+    const maxAge = Date.now() - MAX_BACKUP_AGE_DAYS * 24 * 60 * 60 * 1000;
+    listBackups(dir).forEach((file, i) => {
+        if (i > 0 && (i >= MAX_BACKUPS || fs.statSync(file).mtimeMs < maxAge)) {
+            fs.removeSync(file);
+            log.debug(`removed old local backup ${file}`);
+        }
+    });
+}
+
+/**
+ * Write the action including its code to a new backup file and prune old ones.
+ * Never throws, as the backup action in openwhisk is still the primary backup.
+ */
+async function writeBackup(apihost, namespace, actionName, action) {
+    const dir = getBackupDir(apihost, namespace, actionName);
+    const hash = hashAction(action);
+    lastBackupTime = Math.max(Date.now(), lastBackupTime + 1);
+    const file = path.join(dir, `${new Date(lastBackupTime).toISOString().replace(/:/g, "-")}_${hash.substring(0, 8)}.json`);
+    try {
+        await fs.mkdirp(dir, { mode: DIR_MODE });
+        // directories created by older wskdebug versions are readable by others
+        await fs.chmod(path.join(getStateDir(), "backups"), DIR_MODE);
+        await fs.writeJson(file, { sha256: hash, action: action }, { spaces: 4, mode: FILE_MODE });
+        log.debug(`wrote local backup ${file}`);
+        pruneBackups(dir);
+        return file;
+    } catch (e) {
+        log.warn(`Could not write local backup of action ${actionName}: ${e.message}`);
+    }
+}
+
+/**
+ * Newest local backup of the action with a valid hash, as { file, action }, or undefined if none.
+ */
+function readLatestBackup(apihost, namespace, actionName) {
+    for (const file of listBackups(getBackupDir(apihost, namespace, actionName))) {
+        try {
+            const backup = fs.readJsonSync(file);
+            if (backup && backup.action && backup.sha256 === hashAction(backup.action)) {
+                return { file: file, action: backup.action };
+            }
+            log.warn(`Ignoring local backup ${file}: checksum does not match.`);
+        } catch (e) {
+            log.warn(`Ignoring local backup ${file}: ${e.message}`);
+        }
+    }
+}
+
+module.exports = {
+    writeBackup,
+    readLatestBackup
+};
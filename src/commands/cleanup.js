@@ -0,0 +1,175 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// wskdebug cleanup: find and remove wskdebug leftovers in the whole namespace
+
+'use strict';
+
+const wskclient = require('../wskclient');
+const AgentMgr = require('../agentmgr');
+const { listActions, getActionName, isAgent, getAgentInfo, parseHelperActionName, describeOwner, isOwnedByOtherSession } = require('../actions');
+const log = require('../log');
+const readline = require('readline');
+
+// order in which leftovers are handled: restoring an agent or backup also removes its helpers
+const KIND_ORDER = ["agent", "backup", "helper"];
+
+function findLeftovers(actions, force) {
+    const names = new Set(actions.map(getActionName));
+    const agents = new Map(actions.filter(isAgent).map(a => [getActionName(a), a]));
+
+    const leftovers = [];
+    for (const name of [...names].sort()) {
+        const helper = parseHelperActionName(name);
+
+        if (!helper) {
+            if (agents.has(name)) {
+                const owner = getAgentInfo(agents.get(name)).owner;
+                // restoring would pull the agent away from under a running session
+                const locked = isOwnedByOtherSession(owner);
+                let description = "agent still installed, could be a running wskdebug session";
+                if (locked) {
+                    description = `agent of the wskdebug session of ${describeOwner(owner)}, which might still be running${force ? "" : ". Use --force to restore it"}`;
+                } else if (owner) {
+                    description = `agent of the ended wskdebug session of ${describeOwner(owner)}`;
+                }
+                leftovers.push({
+                    name,
+                    action: name,
+                    kind: "agent",
+                    description: description,
+                    choices: locked && !force ? ["skip"] : ["restore", "skip"]
+                });
+            }
+
+        } else if (agents.has(helper.action)) {
+            // still needed by an installed agent, handled with the agent
+
+        } else if (helper.type === "original") {
+            const exists = names.has(helper.action);
+            leftovers.push({
+                name,
+                action: helper.action,
+                kind: "backup",
+                description: exists ? `orphaned backup of ${helper.action}` : `backup of ${helper.action} which no longer exists`,
+                choices: exists ? ["delete", "skip"] : ["delete", "restore", "skip"]
+            });
+
+        } else {
+            leftovers.push({
+                name,
+                action: helper.action,
+                kind: "helper",
+                description: `helper action of ${helper.action}`,
+                choices: ["delete", "skip"]
+            });
+        }
+    }
+
+    return leftovers.sort((a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind));
+}
+
+function ask(question) {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+    return new Promise(resolve => {
+        rl.question(question, answer => {
+            rl.close();
+            resolve(answer.trim().toLowerCase());
+        });
+    });
+}
+
+// first choice is the proposed one, used with --yes
+async function choose(argv, leftover) {
+    if (argv.yes || leftover.choices.length === 1) {
+        return leftover.choices[0];
+    }
+
+    const options = leftover.choices.map(c => `[${c[0]}]${c.substring(1)}`).join(", ");
+    const answer = await ask(`${log.highlightColor(leftover.name)}: ${options}? `);
+    return leftover.choices.find(c => answer && c.startsWith(answer)) || "skip";
+}
+
+async function restoreAction(argv, wsk, leftover) {
+    // --cleanup also removes backup and helpers once restored
+    const agentMgr = new AgentMgr({...argv, cleanup: true}, wsk, leftover.action);
+
+    if (leftover.kind === "agent") {
+        await agentMgr.restoreLeftoverAgent();
+    } else if (!await agentMgr.restoreAction(true)) {
+        throw new Error(`Could not restore action ${leftover.action}: ${agentMgr.restoreError.message}`);
+    }
+}
+
+module.exports = async function cleanup(argv) {
+    const { wskProps, wsk } = wskclient.create(argv);
+
+    if (!argv.yes && !process.stdin.isTTY) {
+        throw new Error("Cannot ask for confirmation without a terminal. Use --yes to apply the proposed changes.");
+    }
+
+    log.spinner(`Scanning namespace on ${log.highlightColor(wskProps.apihost)}`);
+    const leftovers = findLeftovers(await listActions(wsk), argv.force);
+    log.stopSpinner();
+
+    if (leftovers.length === 0) {
+        log.succeed("No wskdebug leftovers found.");
+        return;
+    }
+
+    log.log(`Found ${leftovers.length} wskdebug leftover${leftovers.length > 1 ? "s" : ""}:`);
+    for (const leftover of leftovers) {
+        log.log(`- ${log.highlightColor(leftover.name)}: ${leftover.description}`);
+    }
+    log.log();
+
+    // actions restored including their backups and helpers
+    const restored = new Set();
+    let failed = 0;
+
+    for (const leftover of leftovers) {
+        if (restored.has(leftover.action)) {
+            continue;
+        }
+
+        const choice = await choose(argv, leftover);
+        try {
+            if (choice === "restore") {
+                await restoreAction(argv, wsk, leftover);
+                restored.add(leftover.action);
+                log.succeed(`Restored action ${log.highlightColor(leftover.action)}`);
+
+            } else if (choice === "delete") {
+                await wsk.actions.delete(leftover.name);
+                log.succeed(`Deleted ${log.highlightColor(leftover.name)}`);
+
+            } else {
+                log.log(`Skipped ${log.highlightColor(leftover.name)}`);
+            }
+        } catch (e) {
+            log.error(`Error: could not ${choice} ${leftover.name}: ${e.message}`);
+            failed++;
+        }
+    }
+
+    if (failed > 0) {
+        throw new Error(`Failed to clean up ${failed} of ${leftovers.length} leftovers.`);
+    }
+};
@@ -0,0 +1,259 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// wskdebug doctor: check everything a debug session depends on and suggest fixes
+
+'use strict';
+
+const wskprops = require('../wskprops');
+const wskclient = require('../wskclient');
+const AgentMgr = require('../agentmgr');
+const OpenWhiskInvoker = require('../invoker');
+const { isAgent } = require('../actions');
+const log = require('../log');
+const chalk = require('chalk');
+const isPortReachable = require('is-port-reachable');
+
+// if no action is given, check the default node.js kind
+function getDefaultKind(systemInfo) {
+    const runtimes = (systemInfo && systemInfo.runtimes && systemInfo.runtimes.nodejs) || [];
+    const runtime = runtimes.find(r => r.default);
+    return runtime ? runtime.kind : "nodejs:default";
+}
+
+function pass(message) {
+    return { status: "pass", message };
+}
+
+function warn(message, fix) {
+    return { status: "warn", message, fix };
+}
+
+function fail(message, fix) {
+    return { status: "fail", message, fix };
+}
+
+function skip(message) {
+    return { status: "skip", message: `skipped, ${message}` };
+}
+
+function isCertificateError(e) {
+    return /certificate|CERT_|self.signed|SSL|TLS/i.test(e.message);
+}
+
+// each check returns a result and can store information for later checks in ctx
+const CHECKS = [{
+    name: "Credentials",
+    async run(ctx) {
+        const props = wskprops.get();
+        if (Object.keys(props).length === 0) {
+            return fail("Found no ~/.wskprops or .env file or OW_* environment variables.",
+                "Create ~/.wskprops using `wsk property set --apihost <host> --auth <key>` or set OW_APIHOST and OW_AUTH.");
+        }
+        if (!props.apihost) {
+            return fail("No API host set.", "Set APIHOST in ~/.wskprops or the OW_APIHOST environment variable.");
+        }
+        if (!props.api_key) {
+            return fail("No auth key set.", "Set AUTH in ~/.wskprops or the OW_AUTH environment variable.");
+        }
+
+        try {
+            Object.assign(ctx, wskclient.create(ctx.argv));
+        } catch (e) {
+            return fail(e.message, "Check the APIHOST and AUTH values in ~/.wskprops.");
+        }
+        return pass(`${ctx.wskProps.apihost}, namespace ${ctx.wskProps.namespace || "_"}`);
+    }
+}, {
+    name: "API host",
+    async run(ctx) {
+        if (!ctx.wsk) {
+            return skip("requires credentials");
+        }
+        try {
+            ctx.systemInfo = await ctx.wsk.actions.client.request("GET", "/");
+        } catch (e) {
+            if (isCertificateError(e)) {
+                return fail(`TLS certificate of ${ctx.wskProps.apihost} not accepted: ${e.message}`,
+                    "Use --ignore-certs for OpenWhisk installations with self-signed certificates.");
+            }
+            return fail(`Cannot reach ${ctx.wskProps.apihost}: ${e.message}`,
+                "Check the APIHOST in ~/.wskprops and your network or VPN connection.");
+        }
+        if (ctx.argv.ignoreCerts) {
+            return pass("reachable, TLS certificate checking disabled by --ignore-certs");
+        }
+        return pass("reachable");
+    }
+}, {
+    name: "Authentication",
+    async run(ctx) {
+        if (!ctx.systemInfo) {
+            return skip("requires a reachable API host");
+        }
+        try {
+            await ctx.wsk.actions.list({ limit: 1 });
+        } catch (e) {
+            if (e.statusCode === 401 || e.statusCode === 403) {
+                return fail(`Credentials rejected: ${e.message}`,
+                    "Check the AUTH key and NAMESPACE in ~/.wskprops.");
+            }
+            return fail(`Cannot list actions: ${e.message}`);
+        }
+        ctx.authenticated = true;
+        return pass("credentials accepted");
+    }
+}, {
+    name: "OpenWhisk version",
+    async run(ctx) {
+        if (!ctx.systemInfo) {
+            return skip("requires a reachable API host");
+        }
+        const version = await new AgentMgr(ctx.argv, ctx.wsk, ctx.argv.action).getOpenWhiskVersion();
+        if (!version) {
+            return warn("unknown, /api/v1 did not report a build version",
+                "Older or customized OpenWhisk installations might not work with wskdebug.");
+        }
+        return pass(version);
+    }
+}, {
+    name: "Concurrency",
+    async run(ctx) {
+        if (!ctx.systemInfo) {
+            return skip("requires a reachable API host");
+        }
+        const limits = ctx.systemInfo.limits || {};
+        if (limits.max_action_concurrency === undefined) {
+            return warn("unknown, OpenWhisk does not report max_action_concurrency",
+                "wskdebug tries the fast concurrency agent and falls back to the slower activation db agent if not supported.");
+        }
+        if (limits.max_action_concurrency > 1) {
+            return pass(`supported (max ${limits.max_action_concurrency}), will use the fast concurrency agent`);
+        }
+        return warn("not supported, will use the slower activation db agent",
+            "Consider using --agent ngrok for a faster agent.");
+    }
+}, {
+    name: "Action",
+    async run(ctx) {
+        if (!ctx.argv.action) {
+            return skip(`no <action> given, checking with kind ${getDefaultKind(ctx.systemInfo)}`);
+        }
+        if (!ctx.authenticated) {
+            return skip("requires authentication");
+        }
+        let action;
+        try {
+            action = await ctx.wsk.actions.get({ name: ctx.argv.action, code: false });
+        } catch (e) {
+            if (e.statusCode === 404) {
+                return fail(`Action not found: ${ctx.argv.action}`, "Check the action name, including the package if any.");
+            }
+            return fail(`Cannot read action ${ctx.argv.action}: ${e.message}`);
+        }
+        ctx.action = action;
+        if (isAgent(action)) {
+            return warn("agent is still installed, either a wskdebug session is running or was killed",
+                `Run \`wskdebug status\` to see sessions or \`wskdebug restore ${ctx.argv.action}\` to restore the original action.`);
+        }
+        return pass(`kind ${action.exec.kind}`);
+    }
+}, {
+    name: "Docker",
+    async run(ctx) {
+        const action = ctx.action || { exec: { kind: getDefaultKind(ctx.systemInfo) }, limits: {} };
+        ctx.invoker = new OpenWhiskInvoker(ctx.argv.action, action, ctx.argv, ctx.wskProps, ctx.wsk);
+        try {
+            await ctx.invoker.checkIfDockerAvailable();
+        } catch (e) {
+            return fail(e.message, "Install and start Docker, e.g. Docker Desktop, and make sure `docker ps` works.");
+        }
+        ctx.docker = true;
+        return pass("running");
+    }
+}, {
+    name: "Runtime image",
+    async run(ctx) {
+        if (!ctx.systemInfo) {
+            return skip("requires a reachable API host");
+        }
+        try {
+            await ctx.invoker.prepare();
+        } catch (e) {
+            return fail(e.message);
+        }
+        ctx.prepared = true;
+
+        const image = ctx.invoker.image;
+        if (ctx.docker && !await ctx.invoker.isImagePresent(image, log.debug)) {
+            return pass(`${image}, will be pulled on first start`);
+        }
+        return pass(image);
+    }
+}, {
+    name: "Debug port",
+    async run(ctx) {
+        if (!ctx.prepared) {
+            return skip("requires the runtime image");
+        }
+        const port = ctx.invoker.debug.port;
+        if (await isPortReachable(port)) {
+            return fail(`port ${port} is already in use`,
+                "Quit the other debugger or use --port. `wskdebug status` shows running debug containers.");
+        }
+        return pass(`port ${port} is available`);
+    }
+}, {
+    name: "ngrok",
+    async run() {
+        try {
+            require.resolve("ngrok");
+        } catch (e) {
+            return warn("not installed, only required for --agent ngrok",
+                "Install using: npm install -g ngrok --unsafe-perm=true");
+        }
+        return pass("installed");
+    }
+}];
+
+const SYMBOLS = {
+    pass: chalk.green(log.symbols.success),
+    warn: chalk.yellow(log.symbols.warning),
+    fail: chalk.red(log.symbols.failure),
+    skip: chalk.gray("-")
+};
+
+module.exports = async function doctor(argv) {
+    const ctx = { argv };
+    let failed = 0;
+
+    // the report is the result of the command, hence not using log.log() which is disabled by --quiet
+    for (const check of CHECKS) {
+        const result = await check.run(ctx);
+        console.log(`${SYMBOLS[result.status]} ${check.name}: ${result.message}`);
+        if (result.fix) {
+            console.log(`    ${result.fix}`);
+        }
+        if (result.status === "fail") {
+            failed++;
+        }
+    }
+
+    if (failed > 0) {
+        throw new Error(`${failed} check${failed > 1 ? "s" : ""} failed.`);
+    }
+};
@@ -0,0 +1,43 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// wskdebug restore <action>: bring back the original action after a wskdebug
+// session got killed and could not remove its agent
+
+'use strict';
+
+const wskclient = require('../wskclient');
+const AgentMgr = require('../agentmgr');
+const log = require('../log');
+
+module.exports = async function restore(argv) {
+    const { wskProps, wsk } = wskclient.create(argv);
+
+    const actionNames = Array.isArray(argv.action) ? argv.action : [argv.action];
+    for (const actionName of actionNames) {
+        log.spinner(`Restoring ${actionName} on ${log.highlightColor(wskProps.apihost)}`);
+
+        const agentMgr = new AgentMgr(argv, wsk, actionName);
+        if (await agentMgr.restoreLeftoverAgent()) {
+            log.succeed(`Restored original action ${log.highlightColor(actionName)}`);
+            if (!argv.cleanup) {
+                log.log(`Kept backup ${log.highlightColor(`${actionName}_wskdebug_original`)}. Use --cleanup to remove it and any helper actions.`);
+            }
+        }
+        log.stopSpinner();
+    }
+};
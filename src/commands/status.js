@@ -0,0 +1,84 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// wskdebug status: show installed agents in the namespace and debug containers on this host
+
+'use strict';
+
+const wskclient = require('../wskclient');
+const OpenWhiskInvoker = require('../invoker');
+const { listActions, getActionName, isAgent, isHelperAction, getAgentInfo, describeOwner } = require('../actions');
+const log = require('../log');
+const prettyMilliseconds = require('pretty-ms');
+
+function since(millis) {
+    if (!millis) {
+        return "unknown";
+    }
+    const ago = prettyMilliseconds(Math.max(Date.now() - millis, 0), { compact: true });
+    return `${new Date(millis).toLocaleString()} (${ago} ago)`;
+}
+
+async function describeAgents(wskProps, wsk) {
+    const agents = (await listActions(wsk))
+        .filter(action => isAgent(action) && !isHelperAction(getActionName(action)));
+
+    const lines = [`Agents installed in namespace ${log.highlightColor(wskProps.namespace || "_")} on ${log.highlightColor(wskProps.apihost)}:`];
+    if (agents.length === 0) {
+        lines.push("  none");
+    }
+    for (const action of agents) {
+        const agent = getAgentInfo(action);
+        lines.push(`- ${log.highlightColor(getActionName(action))}`);
+        lines.push(`  Agent: ${agent.type || "unknown"}`);
+        lines.push(`  Owner: ${describeOwner(agent.owner)}`);
+        lines.push(`  Since: ${since(agent.started)}`);
+    }
+    return lines;
+}
+
+async function describeContainers() {
+    let containers;
+    try {
+        containers = await OpenWhiskInvoker.listDebugContainers();
+    } catch (e) {
+        return [`Cannot list debug containers on this host, docker not available: ${e.message}`];
+    }
+
+    const lines = ["Debug containers on this host:"];
+    if (containers.length === 0) {
+        lines.push("  none");
+    }
+    for (const container of containers) {
+        lines.push(`- ${log.highlightColor(container.action)}`);
+        lines.push(`  Debug port: ${container.debugPorts.join(", ") || "none"}`);
+        lines.push(`  Image:      ${container.image}`);
+        lines.push(`  Container:  ${container.name} (id: ${container.id.substring(0, 12)})`);
+        lines.push(`  Since:      ${since(container.created)}`);
+    }
+    return lines;
+}
+
+module.exports = async function status(argv) {
+    const { wskProps, wsk } = wskclient.create(argv);
+
+    const agents = await describeAgents(wskProps, wsk);
+    const containers = await describeContainers();
+
+    // the status is the result of the command, hence not using log.log() which is disabled by --quiet
+    console.log([...agents, "", ...containers].join("\n"));
+};
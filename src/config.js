@@ -0,0 +1,146 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// project config file with named profiles, e.g. .wskdebug.json:
+//
+// {
+//     "profiles": {
+//         "api-login": {
+//             "action": "api/login",
+//             "sourcePath": "src/login.js",
+//             "condition": "debug === 'true'"
+//         }
+//     }
+// }
+
+'use strict';
+
+const log = require('./log');
+
+const path = require('path');
+const fs = require('fs-extra');
+
+// in order of precedence if multiple are in the same directory
+const CONFIG_FILES = ['.wskdebug.json', 'wskdebug.config.js'];
+
+// readable internal argument names (see normalizeArgs() in index.js) => actual cli option
+const OPTION_NAMES = {
+    port: "p",
+    livereload: "l",
+    livereloadPort: "lr-port",
+    invokeParams: "P",
+    invokeAction: "a",
+    onChange: "r"
+};
+
+// options holding file paths, which are relative to the config file location
+const PATH_OPTIONS = ["sourcePath", "buildPath", "watch", "actionFile", "record", "replay"];
+
+function camelCase(str) {
+    return str.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+function findConfigFile(dir) {
+    dir = path.resolve(dir);
+    while (true) {
+        for (const name of CONFIG_FILES) {
+            const file = path.join(dir, name);
+            if (fs.existsSync(file)) {
+                return file;
+            }
+        }
+
+        const parent = path.dirname(dir);
+        if (parent === dir) {
+            // reached file system root
+            return null;
+        }
+        dir = parent;
+    }
+}
+
+function readConfigFile(file) {
+    try {
+        if (file.endsWith(".js")) {
+            return require(file);
+        } else {
+            return JSON.parse(fs.readFileSync(file, {encoding: 'utf8'}));
+        }
+    } catch (e) {
+        throw new Error(`Could not read config file ${file}: ${e.message}`);
+    }
+}
+
+function resolvePath(dir, value) {
+    if (Array.isArray(value)) {
+        return value.map(v => resolvePath(dir, v));
+    }
+    return path.resolve(dir, value);
+}
+
+// normalize keys to camelCase and resolve paths
+function normalizeOptions(options, dir) {
+    const result = {};
+    for (let [key, value] of Object.entries(options)) {
+        key = camelCase(key);
+
+        if (PATH_OPTIONS.includes(key) && value) {
+            value = resolvePath(dir, value);
+        }
+
+        result[key] = value;
+    }
+    return result;
+}
+
+// turn a profile into options as understood by the yargs parser
+function profileToOptions(profile, dir) {
+    const options = {};
+    for (const [key, value] of Object.entries(normalizeOptions(profile, dir))) {
+        options[OPTION_NAMES[key] || key] = value;
+    }
+
+    // multiple actions, each either a name or an object with action specific arguments
+    if (Array.isArray(options.action)) {
+        options.action = options.action.map(a => typeof a === "object" ? normalizeOptions(a, dir) : a);
+    }
+    return options;
+}
+
+module.exports = {
+    /**
+     * Returns the options of the named profile from the config file found in the
+     * current working directory or any of its parents. Throws if not found.
+     */
+    getProfile(name) {
+        const file = findConfigFile(process.cwd());
+        if (!file) {
+            throw new Error(`Profile '${name}' requested, but found no ${CONFIG_FILES.join(" or ")} config file in ${process.cwd()} or its parent directories.`);
+        }
+        log.debug(`Using profile '${name}' from ${file}`);
+
+        const config = readConfigFile(file) || {};
+        const profiles = config.profiles || {};
+        if (!profiles[name]) {
+            const available = Object.keys(profiles);
+            throw new Error(`Profile '${name}' not found in ${file}.${available.length ? " Available profiles: " + available.join(", ") : ""}`);
+        }
+
+        return profileToOptions(profiles[name], path.dirname(file));
+    },
+    CONFIG_FILES
+};
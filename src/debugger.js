@@ -17,16 +17,19 @@
 
 'use strict';
 
-const wskprops = require('./wskprops');
+const wskclient = require('./wskclient');
 const OpenWhiskInvoker = require('./invoker');
 const AgentMgr = require('./agentmgr');
+const LocalMgr = require('./localmgr');
 const Watcher = require('./watcher');
-const openwhisk = require('openwhisk');
+const Repl = require('./repl');
+const { Recorder } = require('./recorder');
 const { spawnSync } = require('child_process');
-const sleep = require('util').promisify(setTimeout);
 const prettyBytes = require('pretty-bytes');
 const prettyMilliseconds = require('pretty-ms');
 const log = require('./log');
+const { isPattern, findActions } = require('./actions');
+const { diff, formatDiff } = require('./jsondiff');
 const inspector = require('inspector');
 
 function prettyMBytes1024(mb) {
@@ -37,12 +40,108 @@ function prettyMBytes1024(mb) {
     }
 }
 
+function describeFallback(fallback) {
+    const cases = [];
+    if (fallback.timeout !== undefined) {
+        cases.push(`not picked up within ${fallback.timeout} sec`);
+    }
+    if (fallback.queue !== undefined) {
+        cases.push(`more than ${fallback.queue} waiting`);
+    }
+    if (fallback.error) {
+        cases.push("container error");
+    }
+    return `original action if ${cases.join(", ")}`;
+}
+
+function describeHitPolicy(policy) {
+    const cases = [];
+    if (policy.first !== undefined) {
+        cases.push(`first ${policy.first}`);
+    }
+    if (policy.every !== undefined) {
+        cases.push(`every ${policy.every}.`);
+    }
+    if (policy.percent !== undefined) {
+        cases.push(`random ${policy.percent}%`);
+    }
+    if (policy.window) {
+        const from = new Date(policy.window.from).toLocaleString();
+        const until = new Date(policy.window.until).toLocaleString();
+        cases.push(`between ${from} and ${until}`);
+    }
+    return `${cases.join(", ")} of matching activations`;
+}
+
+function describeWatchdog(watchdog) {
+    const cases = [];
+    if (watchdog.deadline) {
+        cases.push(`at ${new Date(watchdog.deadline).toLocaleTimeString()}`);
+    }
+    if (watchdog.silence) {
+        cases.push(`after ${prettyMilliseconds(watchdog.silence * 1000, {verbose:true})} without wskdebug`);
+    }
+    return `agent restores original action ${cases.join(" or ")}`;
+}
+
 function getNamespaceFromActionMetadata(actionMetadata) {
+    // local action definitions might not have a namespace
+    if (!actionMetadata.namespace) {
+        return;
+    }
     // if the action is inside a package, this returns <namespace>/<package>
     // but we only want the namespace
     return actionMetadata.namespace.split("/")[0];
 }
 
+// list of actions to debug, each with its own arguments
+// entries can be action names or objects with per action arguments (from a config file profile)
+function getActions(argv) {
+    const list = Array.isArray(argv.action) ? argv.action : [argv.action];
+
+    return list.map(entry => {
+        const options = typeof entry === "object" ? entry : { action: entry };
+        return {
+            name: options.action,
+            options: options,
+            argv: { ...argv, ...options }
+        };
+    });
+}
+
+// with multiple actions, logs need a prefix and each action needs its own debug port
+function setupMultipleActions(actions, argv) {
+    if (actions.length <= 1) {
+        return;
+    }
+
+    if (argv.sourcePath) {
+        throw new Error("[source-path] cannot be used when debugging multiple actions. Use a config file profile to set the sources for each action.");
+    }
+    if (argv.invokeParams && !argv.invokeAction) {
+        throw new Error("-P requires -a to select the action to invoke when debugging multiple actions.");
+    }
+
+    actions.forEach((action, index) => {
+        action.argv.logPrefix = `[${action.name}] `;
+        if (!action.options.port) {
+            // ports count up from the base port
+            action.argv.portOffset = index;
+        }
+    });
+}
+
+// like Promise.all(), but waits for all promises to finish even if some fail, and then throws the first error
+async function waitForAll(promises) {
+    let error;
+    await Promise.all(promises.map(p => p.catch(e => {
+        error = error || e;
+    })));
+    if (error) {
+        throw error;
+    }
+}
+
 /**
  * Central component of wskdebug.
  */
@@ -67,45 +166,145 @@ class Debugger {
         }
 
         this.argv = argv;
-        this.actionName = argv.action;
+        this.actions = getActions(argv);
 
-        this.wskProps = wskprops.get();
-        if (Object.keys(this.wskProps).length === 0) {
-            log.error(`Error: Missing openwhisk credentials. Found no ~/.wskprops or .env file or WSK_* environment variable.`);
-            process.exit(1);
+        try {
+            const client = wskclient.create(argv);
+            this.wskProps = client.wskProps;
+            this.wsk = client.wsk;
+        } catch (e) {
+            // local mode can work without openwhisk, if the action is defined locally
+            if (!argv.local) {
+                throw e;
+            }
+            log.debug("no openwhisk client in local mode:", e.message);
+            this.wskProps = {};
         }
-        if (argv.ignoreCerts) {
-            this.wskProps.ignore_certs = true;
+
+        if (argv.record) {
+            this.recorder = new Recorder(argv.record);
         }
 
-        try {
-            this.wsk = openwhisk(this.wskProps);
-        } catch (err) {
-            log.error(`Error: Could not setup openwhisk client: ${err.message}`);
-            process.exit(1);
+        log.spinner("Debugging " + this.actionNames("_") + this.location());
+    }
+
+    location() {
+        if (this.argv.local) {
+            return " locally";
         }
+        return " on " + log.highlightColor(this.wskProps.apihost);
+    }
 
-        const h = log.highlightColor;
-        log.spinner("Debugging " + h(`/_/${this.actionName}`) + " on " + h(this.wskProps.apihost));
+    actionNames(namespace) {
+        return this.actions.map(action => log.highlightColor(`/${namespace}/${action.name}`)).join(", ");
+    }
+
+    // resolve wildcard patterns such as mypackage/* to all matching actions
+    async resolveActions() {
+        const actions = [];
+        for (const action of this.actions) {
+            if (isPattern(action.name)) {
+                const names = await findActions(this.wsk, action.name);
+                if (names.length === 0) {
+                    throw new Error(`No actions found matching '${action.name}'.`);
+                }
+                log.step(`Found ${names.length} action${names.length > 1 ? "s" : ""} matching ${action.name}: ${names.join(", ")}`);
+
+                for (const name of names) {
+                    actions.push({
+                        name: name,
+                        options: action.options,
+                        argv: { ...action.argv, action: name }
+                    });
+                }
+            } else {
+                actions.push(action);
+            }
+        }
+        this.actions = actions;
+
+        setupMultipleActions(this.actions, this.argv);
+
+        if (this.argv.compareResult !== undefined) {
+            if (!["local", "original"].includes(this.argv.compareResult)) {
+                throw new Error(`Invalid --compare-result '${this.argv.compareResult}', must be 'local' or 'original'.`);
+            }
+            if (!this.argv.compare) {
+                throw new Error("--compare-result requires --compare.");
+            }
+        }
+        if (this.argv.compare && !this.argv.local) {
+            if (this.argv.shadow) {
+                throw new Error("--compare cannot be used with --shadow, which already invokes the original action.");
+            }
+        }
+
+        if (this.argv.local) {
+            if (this.actions.length > 1) {
+                throw new Error("--local only supports a single action.");
+            }
+            if (this.argv.invokeAction && this.argv.invokeAction !== this.actions[0].name) {
+                throw new Error("-a cannot invoke another action with --local, as activations are only run locally.");
+            }
+            if (this.argv.condition) {
+                log.warn("Ignoring --condition with --local, all local activations are debugged.");
+            }
+            if (this.argv.shadow) {
+                log.warn("Ignoring --shadow with --local, there is no original action.");
+            }
+            if (this.argv.compare) {
+                log.warn("Ignoring --compare with --local, there is no original action.");
+            }
+            if (["hitFirst", "hitEvery", "hitPercent", "hitWindow"].some(name => this.argv[name] !== undefined)) {
+                log.warn("Ignoring --hit-* options with --local, all local activations are debugged.");
+            }
+            if (this.argv.fallbackTimeout !== undefined || this.argv.fallbackQueue !== undefined || this.argv.fallbackOnError) {
+                log.warn("Ignoring --fallback-* options with --local, there is no original action to fall back to.");
+            }
+            if (this.argv.selfRestoreDeadline !== undefined || this.argv.selfRestoreSilence !== undefined) {
+                log.warn("Ignoring --self-restore-* options with --local, there is no agent to restore.");
+            }
+            if (this.argv.repl) {
+                throw new Error("--repl cannot be used with --local, which already prompts for parameters.");
+            }
+        }
     }
 
     async start() {
-        this.agentMgr = new AgentMgr(this.argv, this.wsk, this.actionName);
-        this.watcher = new Watcher(this.argv, this.wsk);
+        await this.resolveActions();
+
+        for (const action of this.actions) {
+            if (this.argv.local) {
+                action.agentMgr = new LocalMgr(action.argv, this.wsk, action.name);
+            } else {
+                action.agentMgr = new AgentMgr(action.argv, this.wsk, action.name);
+            }
+        }
+        // watcher invokes <action> on changes, which needs to be the resolved name if it's a single one
+        // in local mode, invocations run on the local container only
+        const invokeLocally = this.argv.local ? (_, params) => this.actions[0].agentMgr.addActivation(params) : undefined;
+        this.watcher = new Watcher(this.actions.length === 1 ? this.actions[0].argv : this.argv, this.wsk, invokeLocally);
 
         // get the action metadata
-        this.actionMetadata = await this.agentMgr.peekAction();
+        await waitForAll(this.actions.map(async action => {
+            action.metadata = await action.agentMgr.peekAction();
+        }));
         log.debug("fetched action metadata from openwhisk");
-        this.wskProps.namespace = getNamespaceFromActionMetadata(this.actionMetadata);
+        this.wskProps.namespace = getNamespaceFromActionMetadata(this.actions[0].metadata) || this.wskProps.namespace || "_";
 
-        const h = log.highlightColor;
-        log.step("Debugging " + h(`/${this.wskProps.namespace}/${this.actionName}`) + " on " + h(this.wskProps.apihost));
+        log.step("Debugging " + this.actionNames(this.wskProps.namespace) + this.location());
 
-        // local debug container
-        this.invoker = new OpenWhiskInvoker(this.actionName, this.actionMetadata, this.argv, this.wskProps, this.wsk);
+        // local debug containers
+        for (const action of this.actions) {
+            action.invoker = new OpenWhiskInvoker(action.name, action.metadata, action.argv, this.wskProps, this.wsk);
+
+            // how many activations can run at the same time, like in openwhisk
+            action.concurrency = (action.metadata.limits && action.metadata.limits.concurrency) || 1;
+            action.inFlight = new Map();
+        }
 
         // quick fail for missing requirements such as docker not running
-        await this.invoker.checkIfDockerAvailable();
+        await this.actions[0].invoker.checkIfDockerAvailable();
 
         try {
             // run build initially (would be required by starting container)
@@ -113,56 +312,8 @@ class Debugger {
                 log.highlight("On build: ", this.argv.onBuild);
                 spawnSync(this.argv.onBuild, {shell: true, stdio: "inherit"});
             }
-            await this.invoker.prepare();
-
-            // parallelize slower work using promises
-
-            // task 1 - start local container
-            const containerTask = (async () => {
-                const debug2 = log.newDebug();
-
-                // start container - get it up fast for VSCode to connect within its 10 seconds timeout
-                await this.invoker.startContainer(debug2);
-
-                debug2(`started container: ${this.invoker.name()}`);
-            })();
-
-            // task 2 - fetch action code from openwhisk
-            const openwhiskTask = (async () => {
-                const debug2 = log.newDebug();
-                const actionWithCode = await this.agentMgr.readActionWithCode();
-
-                debug2(`downloaded action code (${prettyBytes(actionWithCode.exec.code.length)})`);
-                return actionWithCode;
-            })();
-
-            // wait for both tasks 1 & 2
-            const results = await Promise.all([containerTask, openwhiskTask]);
-            const actionWithCode = results[1];
-
-            log.spinner('Installing agent');
-
-            // parallelize slower work using promises again
-
-            // task 3 - initialize local container with code
-            const initTask = (async () => {
-                const debug2 = log.newDebug();
-
-                // /init local container
-                await this.invoker.init(actionWithCode);
-
-                debug2("installed action on container");
-            })();
-
-            // task 4 - install agent in openwhisk
-            const agentTask = (async () => {
-                const debug2 = log.newDebug();
 
-                // setup agent in openwhisk
-                await this.agentMgr.installAgent(this.invoker, debug2);
-            })();
-
-            await Promise.all([initTask, agentTask]);
+            await waitForAll(this.actions.map(action => this.startAction(action)));
 
             if (this.argv.onStart) {
                 log.highlight("On start: ", this.argv.onStart);
@@ -178,35 +329,122 @@ class Debugger {
 
             this.ready = true;
 
+            if (this.argv.repl) {
+                this.repl = new Repl(this.actions);
+                this.repl.start();
+            }
+
         } catch (e) {
             await this.shutdown();
             throw e;
         }
     }
 
+    async startAction(action) {
+        await action.invoker.prepare();
+
+        // parallelize slower work using promises
+
+        // task 1 - start local container
+        const containerTask = (async () => {
+            const debug2 = log.newDebug();
+
+            // start container - get it up fast for VSCode to connect within its 10 seconds timeout
+            await action.invoker.startContainer(debug2);
+
+            debug2(`started container: ${action.invoker.name()}`);
+        })();
+
+        // task 2 - fetch action code from openwhisk
+        const openwhiskTask = (async () => {
+            const debug2 = log.newDebug();
+            const actionWithCode = await action.agentMgr.readActionWithCode();
+
+            debug2(`downloaded action code (${prettyBytes(actionWithCode.exec.code.length)})`);
+            return actionWithCode;
+        })();
+
+        // wait for both tasks 1 & 2
+        const results = await Promise.all([containerTask, openwhiskTask]);
+        const actionWithCode = results[1];
+
+        log.spinner(this.argv.local ? 'Initializing container' : 'Installing agent');
+
+        // parallelize slower work using promises again
+
+        // task 3 - initialize local container with code
+        const initTask = (async () => {
+            const debug2 = log.newDebug();
+
+            // /init local container
+            await action.invoker.init(actionWithCode);
+
+            debug2("installed action on container");
+        })();
+
+        // task 4 - install agent in openwhisk
+        const agentTask = (async () => {
+            const debug2 = log.newDebug();
+
+            // setup agent in openwhisk
+            await action.agentMgr.installAgent(action.invoker, debug2);
+        })();
+
+        await Promise.all([initTask, agentTask]);
+    }
+
     async logDetails() {
         log.stopSpinner();
         log.log();
-        log.highlight("Action     : ", `/${this.wskProps.namespace}/${this.actionName}`);
-        if (this.sourcePath) {
-            log.highlight("Sources    : ", `${this.invoker.getSourcePath()}`);
-        }
-        log.highlight("Image      : ", `${this.invoker.getImage()}`);
-        log.highlight("Container  : ", `${this.invoker.name()}`);
-        if (this.actionMetadata.limits) {
-            if (this.actionMetadata.limits.memory) {
-                log.highlight("Memory     : ", `${prettyMBytes1024(this.actionMetadata.limits.memory)}`);
+        for (const action of this.actions) {
+            const invoker = action.invoker;
+            log.highlight("Action     : ", `/${this.wskProps.namespace}/${action.name}`);
+            if (invoker.getSourcePath()) {
+                log.highlight("Sources    : ", `${invoker.getSourcePath()}`);
             }
-            if (this.actionMetadata.limits.timeout) {
-                log.highlight("Timeout    : ", `${prettyMilliseconds(this.actionMetadata.limits.timeout, {verbose:true})}`);
+            log.highlight("Image      : ", `${invoker.getImage()}`);
+            log.highlight("Container  : ", `${invoker.name()}`);
+            if (action.metadata.limits) {
+                if (action.metadata.limits.memory) {
+                    log.highlight("Memory     : ", `${prettyMBytes1024(action.metadata.limits.memory)}`);
+                }
+                if (action.metadata.limits.timeout) {
+                    log.highlight("Timeout    : ", `${prettyMilliseconds(action.metadata.limits.timeout, {verbose:true})}`);
+                }
+                if (action.concurrency > 1) {
+                    log.highlight("Concurrency: ", `${action.concurrency} activations`);
+                }
             }
+            log.highlight("Debug type : ", `${invoker.getDebugKind()}`);
+            log.highlight("Debug port : ", `localhost:${invoker.getPort()}`);
+            if (action.argv.condition) {
+                log.highlight("Condition  : ", `${action.argv.condition}`);
+            }
+            if (action.agentMgr.hitPolicy) {
+                log.highlight("Hit policy : ", describeHitPolicy(action.agentMgr.hitPolicy));
+            }
+            if (action.agentMgr.fallback) {
+                log.highlight("Fallback   : ", describeFallback(action.agentMgr.fallback));
+            }
+            if (action.agentMgr.watchdog) {
+                log.highlight("Watchdog   : ", describeWatchdog(action.agentMgr.watchdog));
+            }
+            if (action.argv.local) {
+                log.highlight("Mode       : ", "local, no agent installed in openwhisk");
+            } else if (action.argv.shadow) {
+                log.highlight("Mode       : ", "shadow, callers get the original action's result, local results are discarded");
+            }
+            if (action.argv.compare && !action.argv.local) {
+                log.highlight("Compare    : ", `with original action, callers get the ${action.argv.compareResult || "local"} result`);
+            }
+            if (action.argv.replay) {
+                log.highlight("Replay     : ", `${action.argv.replay}`);
+            }
+            if (this.recorder) {
+                log.highlight("Recording  : ", `${this.recorder.dir}`);
+            }
+            log.log();
         }
-        log.highlight("Debug type : ", `${this.invoker.getDebugKind()}`);
-        log.highlight("Debug port : ", `localhost:${this.invoker.getPort()}`);
-        if (this.argv.condition) {
-            log.highlight("Condition  : ", `${this.argv.condition}`);
-        }
-        log.log();
     }
 
     async run() {
@@ -217,53 +455,192 @@ class Debugger {
         try {
             this.running = true;
 
-            // main blocking loop
-            // abort if this.running is set to false
-            // from here on, user can end debugger with ctrl+c
-            while (this.running) {
-                if (this.argv.ngrok) {
-                    // agent: ngrok
-                    // simply block, ngrokServer keeps running in background
-                    await sleep(1000);
-
-                } else {
-                    // agent: concurrent
-                    // agent: non-concurrent
-                    // wait for activation, run it, complete, repeat
-                    const activation = await this.agentMgr.waitForActivations();
-                    if (!activation) {
-                        return;
+            // main blocking loop for each action
+            // if one ends, all should end
+            await waitForAll(this.actions.map(async action => {
+                try {
+                    await this.runAction(action);
+                } finally {
+                    this.running = false;
+                    this.stopAgents();
+                }
+            }));
+        } finally {
+            await this.shutdown();
+        }
+        if (this.restoreFailed) {
+            throw new Error("Could not restore all actions, see above.");
+        }
+    }
+
+    // main loop for an action: keep waiting for activations and run up to limits.concurrency
+    // of them at the same time on the local container
+    async runAction(action) {
+        const workers = new Set();
+        let error;
+
+        // the agent then returns no more activations
+        const end = () => action.agentMgr.stop();
+
+        // abort if this.running is set to false
+        // from here on, user can end debugger with ctrl+c
+        while (this.running) {
+            if (workers.size >= action.concurrency) {
+                // wait for a free slot
+                await Promise.race(workers);
+                continue;
+            }
+
+            const activation = await action.agentMgr.waitForActivations();
+            if (!activation) {
+                break;
+            }
+
+            const worker = this.runActivation(action, activation)
+                .then(keepRunning => {
+                    if (!keepRunning) {
+                        end();
                     }
+                })
+                .catch(e => {
+                    error = error || e;
+                    end();
+                })
+                .finally(() => {
+                    workers.delete(worker);
+                    this.logInFlight(action);
+                });
+            workers.add(worker);
+        }
 
-                    const id = activation.$activationId;
-                    delete activation.$activationId;
-                    log.verbose("Parameters:", activation);
+        // let running activations finish
+        await Promise.all(workers);
+        if (error) {
+            throw error;
+        }
+    }
 
-                    const startTime = Date.now();
+    // returns false if the debug session should end
+    async runActivation(action, activation) {
+        const prefix = action.argv.logPrefix || "";
 
-                    // run this activation on the local docker container
-                    // which will block if the actual debugger hits a breakpoint
-                    const result = await this.invoker.run(activation, id);
+        const id = activation.$activationId;
+        delete activation.$activationId;
+        log.verbose(`${prefix}Parameters:`, activation);
+        // for re-running it from the --repl
+        action.lastActivation = activation;
 
-                    const duration = Date.now() - startTime;
+        const startTime = Date.now();
+        action.inFlight.set(id, startTime);
+        this.logInFlight(action);
 
-                    // pass on the local result to the agent in openwhisk
-                    if (!await this.agentMgr.completeActivation(id, result, duration)) {
-                        return;
-                    }
+        // --record: container output during this activation
+        const stopLogCapture = this.recorder ? action.invoker.captureLogs() : undefined;
+        try {
+            const fallbackOnError = action.agentMgr.fallback && action.agentMgr.fallback.error;
+
+            // --compare: run the original action with the same parameters at the same time
+            const compare = action.argv.compare && !action.argv.local;
+            const original = compare ? action.agentMgr.invokeOriginal(activation) : undefined;
+
+            // run this activation on the local docker container
+            // which will block if the actual debugger hits a breakpoint
+            let status, result, containerError;
+            try {
+                ({ status, result } = await action.invoker.runWithStatus(activation, id));
+                if (status >= 500) {
+                    // action failed to load or crashed
+                    containerError = `local container responded with ${status}: ${JSON.stringify(result)}`;
+                }
+            } catch (e) {
+                if (!fallbackOnError) {
+                    throw e;
+                }
+                containerError = `local container failed: ${e.message}`;
+            }
+
+            if (fallbackOnError && containerError) {
+                return await action.agentMgr.fallbackActivation(id, containerError);
+            }
+
+            const duration = Date.now() - startTime;
+
+            if (this.recorder) {
+                await this.recorder.record({
+                    action: action.name,
+                    activationId: id,
+                    start: startTime,
+                    duration: duration,
+                    params: activation,
+                    result: result,
+                    logs: stopLogCapture()
+                });
+            }
+
+            if (compare) {
+                const originalRun = await original;
+                this.logComparison(action, { status, result, duration }, originalRun);
+                if (action.argv.compareResult === "original" && originalRun) {
+                    return await action.agentMgr.completeActivation(id, originalRun.result, duration);
                 }
             }
+
+            // pass on the local result to the agent in openwhisk
+            return await action.agentMgr.completeActivation(id, result, duration);
+
         } finally {
-            await this.shutdown();
+            action.inFlight.delete(id);
+            if (stopLogCapture) {
+                stopLogCapture();
+            }
+        }
+    }
+
+    // --compare: status, duration and differences of the local and the original result
+    logComparison(action, local, original) {
+        const prefix = action.argv.logPrefix || "";
+        if (!original) {
+            return;
+        }
+        const describe = (name, status, duration) => `${name} ${status} in ${prettyMilliseconds(duration)}`;
+        log.highlight(`${prefix}Compare    : `, `${describe("local", local.status, local.duration)}, ${describe("original", original.status, original.duration)}`);
+
+        const changes = diff(original.result, local.result);
+        if (changes.length === 0) {
+            log.log(`${prefix}             results are identical`);
+        } else {
+            log.log(`${prefix}             results differ (original => local):`);
+            for (const line of formatDiff(changes)) {
+                log.log(`${prefix}               ${line}`);
+            }
+        }
+    }
+
+    // show running activations, if there can be more than one
+    logInFlight(action) {
+        if (action.concurrency <= 1 || action.inFlight.size === 0) {
+            return;
+        }
+        const prefix = action.argv.logPrefix || "";
+        const now = Date.now();
+        const activations = [...action.inFlight.entries()]
+            .map(([id, start]) => `${id} (${prettyMilliseconds(now - start, {compact: true})})`)
+            .join(", ");
+        log.highlight(`${prefix}In flight  : `, `${action.inFlight.size}/${action.concurrency} ${activations}`);
+    }
+
+    stopAgents() {
+        for (const action of this.actions) {
+            if (action.agentMgr) {
+                action.agentMgr.stop();
+            }
         }
     }
 
     // normal graceful stop() initiated by a client
     async stop() {
         this.running = false;
-        if (this.agentMgr) {
-            this.agentMgr.stop();
-        }
+        this.stopAgents();
 
         if (this.runPromise) {
             // wait for the main loop to gracefully end, which will call shutdown()
@@ -277,9 +654,7 @@ class Debugger {
     // fastest way to end, triggered by CTRL+C
     async kill() {
         this.running = false;
-        if (this.agentMgr) {
-            this.agentMgr.stop();
-        }
+        this.stopAgents();
 
         await this.shutdown();
     }
@@ -309,17 +684,30 @@ class Debugger {
 
         // need to shutdown everything even if some fail, hence tryCatch() for each
 
-        if (this.agentMgr) {
-            await this.tryCatch(this.agentMgr.shutdown());
-        }
+        // restore all actions in parallel
+        await Promise.all(
+            this.actions
+                .filter(action => action.agentMgr)
+                .map(action => this.tryCatch(action.agentMgr.shutdown()))
+        );
+        // so that the process exits non-zero
+        this.restoreFailed = this.actions.some(action => action.agentMgr && action.agentMgr.restoreFailed);
 
         // ------------< critical removal must happen above this line >---------------
 
         // in VS Code, we will not run beyond this line upon debug stop.
         // this is because invoker.stop() will kill the container & thus close the
         // debug port, upon which VS Code kills the debug process (us)
-        if (this.invoker) {
-            await this.tryCatch(this.invoker.stop());
+        await Promise.all(
+            this.actions
+                .filter(action => action.invoker)
+                .map(action => this.tryCatch(action.invoker.stop()))
+        );
+
+        if (this.repl) {
+            // activations run from the prompt fail quickly now that the containers are gone
+            await this.tryCatch(this.repl.stop());
+            delete this.repl;
         }
 
         if (this.watcher) {
@@ -31,6 +31,8 @@ const RUNTIME_PORT = 8080;
 const MAX_INIT_RETRY_MS = 20000; // 20 sec
 const INIT_RETRY_DELAY_MS = 200;
 const LABEL_ACTION_NAME = "org.apache.wskdebug.action";
+// logged by openwhisk runtimes on stdout and stderr at the end of each activation
+const ACTIVATION_LOG_MARKER = "XXX_THE_END_OF_A_WHISK_ACTIVATION_XXX";
 
 // https://github.com/apache/incubator-openwhisk/blob/master/docs/reference.md#system-limits
 const OPENWHISK_DEFAULTS = {
@@ -59,6 +61,8 @@ class OpenWhiskInvoker {
         this.internalPort = options.internalPort;
         this.command = options.command;
         this.dockerArgs = options.dockerArgs;
+        this.portOffset = options.portOffset || 0;
+        this.logPrefix = options.logPrefix || "";
 
         // the build path can be separate, if not, same as the source/watch path
         this.sourcePath = options.buildPath || options.sourcePath;
@@ -75,6 +79,9 @@ class OpenWhiskInvoker {
 
         this.containerName = dockerUtils.safeContainerName(`wskdebug-${this.actionName}-${Date.now()}`);
         this.docker = new Docker();
+
+        // see captureLogs()
+        this.logCaptures = [];
     }
 
     async checkIfDockerAvailable() {
@@ -87,6 +94,10 @@ class OpenWhiskInvoker {
     }
 
     async getImageForKind(kind) {
+        if (!this.wsk) {
+            // local mode without openwhisk
+            return kinds.images[kind];
+        }
         try {
             const owSystemInfo = await this.wsk.actions.client.request("GET", "/");
             if (owSystemInfo.runtimes) {
@@ -147,6 +158,11 @@ class OpenWhiskInvoker {
         this.debug.internalPort = this.internalPort                      || resolveValue(this.debug.port, this);
         this.debug.port         = this.port         || this.internalPort || resolveValue(this.debug.port, this);
 
+        // if multiple actions are debugged, ports count up from the base port
+        if (this.debug.port) {
+            this.debug.port += this.portOffset;
+        }
+
         // ------------------------
 
         this.debug.command = this.command || resolveValue(this.debug.command, this);
@@ -238,6 +254,27 @@ class OpenWhiskInvoker {
         });
     }
 
+    /**
+     * Lists running wskdebug containers of any session on this host, with their
+     * action, image and debug ports (all published ports except the runtime port).
+     */
+    static async listDebugContainers() {
+        const containers = await new Docker().listContainers();
+        return containers
+            .filter(container => container.Labels[LABEL_ACTION_NAME])
+            .map(container => ({
+                id: container.Id,
+                name: dockerUtils.getContainerName(container),
+                action: container.Labels[LABEL_ACTION_NAME],
+                image: container.Image,
+                // ports can be listed twice for ipv4 and ipv6
+                debugPorts: [...new Set(container.Ports
+                    .filter(port => port.PublicPort && port.PrivatePort !== RUNTIME_PORT)
+                    .map(port => port.PublicPort))],
+                created: container.Created * 1000
+            }));
+    }
+
     getFullActionName() {
         return `/${this.wskProps.namespace}/${this.actionName}`;
     }
@@ -366,7 +403,12 @@ class OpenWhiskInvoker {
         const spinnerSafeStream = (stream) => ({
             write: (data) => {
                 log.stopSpinner();
-                stream(data.toString().replace(/\n$/, ""));
+                let output = data.toString().replace(/\n$/, "");
+                this.logCaptures.forEach(logs => logs.push(...output.split("\n")));
+                if (this.logPrefix) {
+                    output = output.split("\n").map(line => this.logPrefix + line).join("\n");
+                }
+                stream(output);
                 log.resumeSpinner();
             }
         });
@@ -450,6 +492,14 @@ class OpenWhiskInvoker {
     }
 
     async run(args, activationId) {
+        return (await this.runWithStatus(args, activationId)).result;
+    }
+
+    /**
+     * Like run(), but also returns the http status of the runtime, which is 5xx if the action
+     * failed to load or crashed. Throws if the container is not reachable.
+     */
+    async runWithStatus(args, activationId) {
         const response = await fetch(`${this.url()}/run`, {
             method: "POST",
             headers: {
@@ -468,7 +518,24 @@ class OpenWhiskInvoker {
             })
         });
 
-        return response.json();
+        return {
+            status: response.status,
+            result: await response.json()
+        };
+    }
+
+    /**
+     * Start collecting the container output. Returns a function that stops and returns the
+     * captured lines. With concurrent activations, this includes output of all of them.
+     */
+    captureLogs() {
+        const logs = [];
+        this.logCaptures.push(logs);
+        return () => {
+            this.logCaptures = this.logCaptures.filter(l => l !== logs);
+            // remove the end markers that the runtime logs after each activation
+            return logs.filter(line => !line.includes(ACTIVATION_LOG_MARKER));
+        };
     }
 
     async stop() {
@@ -0,0 +1,101 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// structural diff of json values, such as activation results for --compare
+
+'use strict';
+
+// longer values are cut in the output
+const MAX_VALUE_LENGTH = 200;
+
+function isObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function has(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function childPath(path, key) {
+    if (typeof key === "number") {
+        return `${path}[${key}]`;
+    } else if (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key)) {
+        return path ? `${path}.${key}` : key;
+    }
+    return `${path}[${JSON.stringify(key)}]`;
+}
+
+function collectChanges(a, b, path, changes) {
+    if (isObject(a) && isObject(b)) {
+        const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+        for (const key of keys) {
+            if (!has(a, key)) {
+                changes.push({ type: "added", path: childPath(path, key), to: b[key] });
+            } else if (!has(b, key)) {
+                changes.push({ type: "removed", path: childPath(path, key), from: a[key] });
+            } else {
+                collectChanges(a[key], b[key], childPath(path, key), changes);
+            }
+        }
+
+    } else if (Array.isArray(a) && Array.isArray(b)) {
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            if (i >= a.length) {
+                changes.push({ type: "added", path: childPath(path, i), to: b[i] });
+            } else if (i >= b.length) {
+                changes.push({ type: "removed", path: childPath(path, i), from: a[i] });
+            } else {
+                collectChanges(a[i], b[i], childPath(path, i), changes);
+            }
+        }
+
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+        changes.push({ type: "changed", path: path, from: a, to: b });
+    }
+}
+
+function formatValue(value) {
+    const json = value === undefined ? "undefined" : JSON.stringify(value);
+    return json.length > MAX_VALUE_LENGTH ? `${json.substring(0, MAX_VALUE_LENGTH)}...` : json;
+}
+
+module.exports = {
+    /**
+     * Differences from a to b as list of { type: "added" | "removed" | "changed", path, from, to },
+     * with paths such as `body.items[0].name`. Empty if both are equal.
+     */
+    diff(a, b) {
+        const changes = [];
+        collectChanges(a, b, "", changes);
+        return changes;
+    },
+
+    /**
+     * Changes from diff() as lines for the console, one per change.
+     */
+    formatDiff(changes) {
+        return changes.map(change => {
+            const path = change.path || "(root)";
+            if (change.type === "added") {
+                return `+ ${path}: ${formatValue(change.to)}`;
+            } else if (change.type === "removed") {
+                return `- ${path}: ${formatValue(change.from)}`;
+            }
+            return `~ ${path}: ${formatValue(change.from)} => ${formatValue(change.to)}`;
+        });
+    }
+};
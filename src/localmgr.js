@@ -0,0 +1,249 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// --local mode, used by the Debugger in place of AgentMgr. Never touches the deployed action:
+// - action from a local definition (--action-file or --kind with [source-path]) or read from openwhisk
+// - activations from --replay, --params, lines on stdin or an interactive prompt
+
+'use strict';
+
+const { isAgent } = require('./actions');
+const { readParams, getDefaultParams, newActivationId } = require('./params');
+const { readRecordings } = require('./recorder');
+const log = require('./log');
+const fs = require('fs-extra');
+const readline = require('readline');
+
+class LocalMgr {
+
+    constructor(argv, wsk, actionName) {
+        this.argv = argv;
+        this.wsk = wsk;
+        this.actionName = actionName;
+        // activation parameters waiting to be run
+        this.activations = [];
+
+        if (this.argv.ngrok || this.argv.agent) {
+            throw new Error(`${this.argv.ngrok ? "--ngrok" : "--agent"} cannot be used with --local, which does not install an agent.`);
+        }
+        if (this.argv.replay) {
+            this.replay = this.readReplay();
+        }
+    }
+
+    // parameters of the recorded activations of this action
+    readReplay() {
+        const recordings = readRecordings(this.argv.replay);
+        const replay = recordings
+            .filter(recording => recording.action === this.actionName)
+            .map(recording => recording.params);
+
+        if (replay.length === 0) {
+            throw new Error(`Found no recorded activations of ${this.actionName} in ${this.argv.replay}.`);
+        }
+        if (replay.length < recordings.length) {
+            log.warn(`Skipping ${recordings.length - replay.length} recorded activations of other actions in ${this.argv.replay}.`);
+        }
+        return replay;
+    }
+
+    readLocalAction() {
+        if (this.argv.actionFile) {
+            let action;
+            try {
+                action = JSON.parse(fs.readFileSync(this.argv.actionFile, {encoding: 'utf8'}));
+            } catch (e) {
+                throw new Error(`Could not read action definition ${this.argv.actionFile}: ${e.message}`);
+            }
+            if (!action.exec || !action.exec.kind) {
+                throw new Error(`Action definition ${this.argv.actionFile} is missing exec.kind.`);
+            }
+            if (!action.exec.code && !this.argv.sourcePath) {
+                throw new Error(`Action definition ${this.argv.actionFile} has no exec.code, requires [source-path].`);
+            }
+            return {
+                limits: {},
+                parameters: [],
+                annotations: [],
+                ...action,
+                // sources are mounted from [source-path]
+                exec: { code: "", ...action.exec }
+            };
+        }
+
+        if (this.argv.kind && this.argv.sourcePath) {
+            // a single file is also passed as code, for kinds that cannot mount sources
+            const isFile = fs.statSync(this.argv.sourcePath).isFile();
+            return {
+                exec: {
+                    kind: this.argv.kind,
+                    main: this.argv.main,
+                    code: isFile ? fs.readFileSync(this.argv.sourcePath, {encoding: 'utf8'}) : ""
+                },
+                limits: {},
+                parameters: [],
+                annotations: []
+            };
+        }
+    }
+
+    async peekAction() {
+        this.action = this.readLocalAction();
+        if (this.action) {
+            log.debug("using local action definition");
+            return this.action;
+        }
+
+        if (!this.wsk) {
+            throw new Error("Found no openwhisk credentials. To debug without openwhisk, use --action-file or --kind with [source-path].");
+        }
+
+        // read only: if a wskdebug agent is left over, use the backup of the original action
+        let action = await this.wsk.actions.get(this.actionName);
+        if (isAgent(action)) {
+            const backupName = `${this.actionName}_wskdebug_original`;
+            log.warn(`Agent is installed on ${this.actionName}, using its backup ${backupName}.`);
+            action = await this.wsk.actions.get(backupName);
+        }
+        this.action = action;
+        return action;
+    }
+
+    async readActionWithCode() {
+        return this.action;
+    }
+
+    async installAgent() {
+        // nothing to do, activations are local only
+    }
+
+    /**
+     * Queue an activation with the given parameters, returns the activation id.
+     */
+    addActivation(params) {
+        const activationId = newActivationId();
+        this.activations.push({
+            ...getDefaultParams(this.action),
+            ...params,
+            $activationId: activationId
+        });
+        this.notify();
+        return activationId;
+    }
+
+    notify() {
+        if (this.wakeUp) {
+            this.wakeUp();
+            delete this.wakeUp;
+        }
+    }
+
+    // what to run on an empty line on the prompt
+    defaultActivations() {
+        if (this.replay) {
+            return this.replay;
+        }
+        return [this.argv.params ? readParams(this.argv.params) : {}];
+    }
+
+    startInput() {
+        this.interactive = process.stdin.isTTY;
+
+        if (this.replay) {
+            this.replay.forEach(params => this.addActivation(params));
+        }
+        if (this.argv.params && !this.interactive) {
+            // on the prompt, --params is used as default instead
+            this.addActivation(readParams(this.argv.params));
+        }
+
+        this.readline = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            terminal: this.interactive
+        });
+        const defaultText = this.replay ? `replay of ${this.replay.length}` : (this.argv.params || "{}");
+        this.readline.setPrompt(`Parameters (json or file, empty for ${defaultText})> `);
+
+        this.readline.on("line", line => {
+            this.prompting = false;
+            line = line.trim();
+            try {
+                if (line) {
+                    this.addActivation(readParams(line));
+                } else if (this.interactive) {
+                    this.defaultActivations().forEach(params => this.addActivation(params));
+                }
+            } catch (e) {
+                log.error(`Invalid parameters: ${e.message}`);
+                this.notify();
+            }
+        });
+        this.readline.on("close", () => {
+            // end of stdin or CTRL+D
+            this.inputClosed = true;
+            this.notify();
+        });
+        // readline swallows CTRL+C, pass it on to the exit handler
+        this.readline.on("SIGINT", () => process.kill(process.pid, "SIGINT"));
+    }
+
+    async waitForActivations() {
+        if (!this.readline) {
+            this.startInput();
+        }
+
+        while (!this.stopped) {
+            if (this.activations.length > 0) {
+                const params = this.activations.shift();
+                log.log();
+                log.highlight("Activation: ", params.$activationId);
+                return params;
+            }
+            if (this.inputClosed) {
+                return null;
+            }
+            if (this.interactive && !this.prompting) {
+                this.prompting = true;
+                log.stopSpinner();
+                this.readline.prompt();
+            }
+            await new Promise(resolve => this.wakeUp = resolve);
+        }
+        return null;
+    }
+
+    async completeActivation(activationId, result, duration) {
+        log.succeed(`Completed activation ${activationId} in ` + log.highlightColor(`${duration/1000.0} sec`));
+        log.log("Result:", JSON.stringify(result, null, 2));
+        return true;
+    }
+
+    stop() {
+        this.stopped = true;
+        this.notify();
+    }
+
+    async shutdown() {
+        this.stop();
+        if (this.readline) {
+            this.readline.close();
+        }
+    }
+}
+
+module.exports = LocalMgr;
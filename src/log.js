@@ -40,10 +40,14 @@ const useEmoji = process.platform !== 'win32' || process.env.CI || process.env.T
 const symbols = useEmoji ? {
     step: '❯',
     success: '✔',
+    warning: '⚠',
+    failure: '✖',
     ready: '🚀'
 } : {
     step: '-',
     success: '√',
+    warning: '!',
+    failure: 'x',
     ready: '>'
 };
 
@@ -90,6 +94,8 @@ module.exports = {
 
     highlightColor,
 
+    symbols,
+
     /** Basic log message, visible by default. Ends any running spinner(). */
     log: function(...args) {
         spinner.stop();
@@ -0,0 +1,51 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// activation parameters for activations that do not come from openwhisk: --local and --repl
+
+'use strict';
+
+const fs = require('fs-extra');
+const crypto = require('crypto');
+
+module.exports = {
+    /**
+     * Parse activation parameters given as json string or as name of a json file.
+     */
+    readParams(value) {
+        if (value.trim().startsWith("{")) {
+            return JSON.parse(value);
+        } else {
+            return JSON.parse(fs.readFileSync(value, {encoding: 'utf8'}));
+        }
+    },
+
+    /**
+     * Default parameters of the action, which openwhisk merges into each activation.
+     */
+    getDefaultParams(action) {
+        const params = {};
+        for (const param of action.parameters || []) {
+            params[param.key] = param.value;
+        }
+        return params;
+    },
+
+    newActivationId() {
+        return crypto.randomBytes(16).toString("hex");
+    }
+};
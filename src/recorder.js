@@ -0,0 +1,92 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// --record activations as json files in a session directory, one file per activation,
+// and read them again for --replay
+
+'use strict';
+
+const log = require('./log');
+const fs = require('fs-extra');
+const path = require('path');
+
+// recordings include the activation parameters, which often hold secrets
+const DIR_MODE = 0o700;
+const FILE_MODE = 0o600;
+
+// file names start with the time, so that sorting by name replays in the original order
+function getRecordingFileName(recording) {
+    const time = new Date(recording.start).toISOString().replace(/:/g, "-");
+    const action = recording.action.replace(/\//g, "-");
+    return `${time}_${action}_${recording.activationId}.json`;
+}
+
+function readRecording(file) {
+    let recording;
+    try {
+        recording = fs.readJsonSync(file);
+    } catch (e) {
+        throw new Error(`Could not read recording ${file}: ${e.message}`);
+    }
+    if (!recording || typeof recording.params !== "object") {
+        throw new Error(`Not a wskdebug recording: ${file}`);
+    }
+    return recording;
+}
+
+class Recorder {
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirpSync(dir, { mode: DIR_MODE });
+    }
+
+    /**
+     * Write an activation with action, activationId, start, duration, params, result and logs.
+     * Never throws, as failing to record must not end the debug session.
+     */
+    async record(recording) {
+        const file = path.join(this.dir, getRecordingFileName(recording));
+        try {
+            await fs.writeJson(file, recording, { spaces: 4, mode: FILE_MODE });
+            log.verbose(`Recorded activation ${recording.activationId} in ${file}`);
+        } catch (e) {
+            log.error(`Could not record activation ${recording.activationId}: ${e.message}`);
+        }
+    }
+}
+
+/**
+ * Read a single recording file or all recordings in a directory, in the order they were recorded.
+ */
+function readRecordings(fileOrDir) {
+    if (!fs.existsSync(fileOrDir)) {
+        throw new Error(`Recording not found: ${fileOrDir}`);
+    }
+    if (fs.statSync(fileOrDir).isDirectory()) {
+        return fs.readdirSync(fileOrDir)
+            .filter(name => name.endsWith(".json"))
+            .sort()
+            .map(name => readRecording(path.join(fileOrDir, name)));
+    } else {
+        return [readRecording(fileOrDir)];
+    }
+}
+
+module.exports = {
+    Recorder,
+    readRecordings
+};
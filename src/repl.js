@@ -0,0 +1,167 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// interactive prompt (--repl) to run activations directly on the local debug containers,
+// without having to trigger the action in openwhisk again
+
+'use strict';
+
+const { readParams, getDefaultParams, newActivationId } = require('./params');
+const log = require('./log');
+const readline = require('readline');
+
+const HELP = `Run activations on the local debug container:
+  <json>           Run with these parameters, e.g. {"name": "test"}
+  <file>           Run with parameters from a json file
+  .last            Run again with the parameters of the last activation
+  .edit            Edit the parameters of the last activation and run
+  .show            Show the parameters of the last activation
+  .use <action>    Select the action to run, if debugging multiple actions
+  .help            Show this help`;
+
+class Repl {
+
+    /**
+     * Actions as set up by the Debugger, with invoker and metadata.
+     * The Debugger records forwarded activations as lastActivation on each action.
+     */
+    constructor(actions) {
+        this.actions = actions;
+        this.action = actions[0];
+        // lines are handled one after the other
+        this.queue = Promise.resolve();
+    }
+
+    start() {
+        this.interactive = process.stdin.isTTY;
+
+        this.readline = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            terminal: this.interactive
+        });
+        this.updatePrompt();
+
+        this.readline.on("line", line => {
+            this.queue = this.queue.then(() => this.handle(line.trim()));
+        });
+        this.finished = new Promise(resolve => {
+            this.readline.on("close", () => {
+                this.closed = true;
+                resolve(this.queue);
+            });
+        });
+        // readline swallows CTRL+C, pass it on to the exit handler
+        this.readline.on("SIGINT", () => process.kill(process.pid, "SIGINT"));
+
+        if (this.interactive) {
+            log.log(`Type parameters to run an activation on the local container, .help for more.`);
+        }
+        this.prompt();
+    }
+
+    updatePrompt() {
+        const name = this.actions.length > 1 ? this.action.name + " " : "";
+        this.readline.setPrompt(`${name}> `);
+    }
+
+    prompt(text) {
+        if (this.interactive && !this.closed) {
+            log.stopSpinner();
+            this.readline.prompt();
+            if (text) {
+                // prefill the line for editing
+                this.readline.write(text);
+            }
+        }
+    }
+
+    async handle(line) {
+        let prefill;
+        try {
+            if (line === ".help") {
+                log.log(HELP);
+
+            } else if (line === ".last") {
+                await this.run(this.getLastActivation());
+
+            } else if (line === ".edit") {
+                prefill = JSON.stringify(this.getLastActivation());
+
+            } else if (line === ".show") {
+                log.log(JSON.stringify(this.getLastActivation(), null, 2));
+
+            } else if (line.startsWith(".use")) {
+                this.use(line.substring(".use".length).trim());
+
+            } else if (line.startsWith(".")) {
+                throw new Error(`Unknown command ${line}. Type .help for the list of commands.`);
+
+            } else if (line) {
+                await this.run({
+                    ...getDefaultParams(this.action.metadata),
+                    ...readParams(line)
+                });
+            }
+        } catch (e) {
+            log.error(e.message);
+        }
+        this.prompt(prefill);
+    }
+
+    getLastActivation() {
+        if (!this.action.lastActivation) {
+            throw new Error(`No activation of ${this.action.name} yet. Enter parameters as json or file name instead.`);
+        }
+        return this.action.lastActivation;
+    }
+
+    use(name) {
+        const action = this.actions.find(a => a.name === name);
+        if (!action) {
+            throw new Error(`Unknown action '${name}'. Available: ${this.actions.map(a => a.name).join(", ")}`);
+        }
+        this.action = action;
+        this.updatePrompt();
+    }
+
+    async run(params) {
+        const id = newActivationId();
+        this.action.lastActivation = params;
+
+        log.highlight("Activation: ", id);
+        log.verbose("Parameters:", params);
+
+        const startTime = Date.now();
+        const result = await this.action.invoker.run(params, id);
+        const duration = Date.now() - startTime;
+
+        log.succeed(`Completed activation ${id} in ` + log.highlightColor(`${duration/1000.0} sec`));
+        log.log("Result:", JSON.stringify(result, null, 2));
+        return result;
+    }
+
+    // resolves once the line being handled has ended
+    async stop() {
+        if (this.readline) {
+            this.readline.close();
+            await this.finished;
+        }
+    }
+}
+
+module.exports = Repl;
@@ -17,15 +17,23 @@
 
 'use strict';
 
-const fs = require('fs-extra');
 const livereload = require('livereload');
 const { spawnSync } = require('child_process');
 const log = require('./log');
+const { readParams } = require('./params');
 
 class Watcher {
-    constructor(argv, wsk) {
+    constructor(argv, wsk, invoke) {
         this.argv = argv;
         this.wsk = wsk;
+        // invokes the action upon changes if -P or -a is set, returns the activation id
+        this.invoke = invoke || (async (action, params) => {
+            const response = await wsk.actions.invoke({
+                name: action,
+                params: params
+            });
+            return response.activationId;
+        });
     }
 
     async start() {
@@ -52,7 +60,7 @@ class Watcher {
             // overwrite function to get notified on changes
             const refresh = this.liveReloadServer.refresh;
             const argv = this.argv;
-            const wsk = this.wsk;
+            const invoke = this.invoke;
             this.liveReloadServer.refresh = function(filepath) {
                 try {
                     let result = [];
@@ -78,20 +86,10 @@ class Watcher {
 
                     // action invoke
                     if (argv.invokeParams || argv.invokeAction) {
-                        let json = {};
-                        if (argv.invokeParams) {
-                            if (argv.invokeParams.trim().startsWith("{")) {
-                                json = JSON.parse(argv.invokeParams);
-                            } else {
-                                json = JSON.parse(fs.readFileSync(argv.invokeParams, {encoding: 'utf8'}));
-                            }
-                        }
+                        const json = argv.invokeParams ? readParams(argv.invokeParams) : {};
                         const action = argv.invokeAction || argv.action;
-                        wsk.actions.invoke({
-                            name: action,
-                            params: json
-                        }).then(response => {
-                            log.step(`Invoked action ${action} with params ${argv.invokeParams}: ${response.activationId}`);
+                        invoke(action, json).then(activationId => {
+                            log.step(`Invoked action ${action} with params ${argv.invokeParams}: ${activationId}`);
                         }).catch(err => {
                             log.error("Error invoking action:", err);
                         });
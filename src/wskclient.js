@@ -0,0 +1,48 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// openwhisk client setup shared by the debugger and the other commands
+
+'use strict';
+
+const wskprops = require('./wskprops');
+const openwhisk = require('openwhisk');
+
+module.exports = {
+    /**
+     * Create an openwhisk client using the wskprops credentials.
+     * Returns the credentials as `wskProps` and the client as `wsk`.
+     */
+    create(argv) {
+        const wskProps = wskprops.get();
+        if (Object.keys(wskProps).length === 0) {
+            throw new Error("Missing openwhisk credentials. Found no ~/.wskprops or .env file or OW_* environment variables.");
+        }
+        if (argv.ignoreCerts) {
+            wskProps.ignore_certs = true;
+        }
+
+        let wsk;
+        try {
+            wsk = openwhisk(wskProps);
+        } catch (err) {
+            throw new Error(`Could not setup openwhisk client: ${err.message}`);
+        }
+
+        return { wskProps, wsk };
+    }
+};
@@ -0,0 +1,116 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const actions = require('../src/actions');
+const test = require('./test');
+const assert = require('assert');
+const openwhisk = require('openwhisk');
+
+function actionListEntry(name, namespace, kind="nodejs:10") {
+    return {
+        name: name,
+        namespace: namespace,
+        annotations: [{ key: "exec", value: kind }],
+        exec: { binary: false },
+        version: "0.0.1"
+    };
+}
+
+describe('actions', function() {
+
+    beforeEach(async function() {
+        await test.beforeEach();
+        this.wsk = openwhisk({
+            apihost: "https://example.com",
+            api_key: "super-secret-key",
+            namespace: "test"
+        });
+    });
+
+    afterEach(function() {
+        test.afterEach();
+    });
+
+    it("should find all actions in a package using a wildcard", async function() {
+        test.mockActionList([
+            actionListEntry("action1", "test/mypackage"),
+            actionListEntry("action2", "test/mypackage"),
+            actionListEntry("action1", "test/otherpackage"),
+            actionListEntry("action3", "test")
+        ]);
+
+        const names = await actions.findActions(this.wsk, "mypackage/*");
+        assert.deepStrictEqual(names, ["mypackage/action1", "mypackage/action2"]);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should match action names with * and ?", async function() {
+        test.mockActionList([
+            actionListEntry("login-v1", "test/api"),
+            actionListEntry("login-v2", "test/api"),
+            actionListEntry("login-v10", "test/api"),
+            actionListEntry("logout", "test/api"),
+            actionListEntry("login-v1", "test")
+        ]);
+
+        const names = await actions.findActions(this.wsk, "api/login-v?");
+        assert.deepStrictEqual(names, ["api/login-v1", "api/login-v2"]);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should ignore sequences and wskdebug helper actions", async function() {
+        test.mockActionList([
+            actionListEntry("action", "test/mypackage"),
+            actionListEntry("action_wskdebug_original", "test/mypackage"),
+            actionListEntry("action_wskdebug_invoked", "test/mypackage"),
+            actionListEntry("action_wskdebug_completed", "test/mypackage"),
+            actionListEntry("sequence", "test/mypackage", "sequence")
+        ]);
+
+        const names = await actions.findActions(this.wsk, "mypackage/*");
+        assert.deepStrictEqual(names, ["mypackage/action"]);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should list more than one page of actions", async function() {
+        const page1 = [];
+        for (let i = 0; i < 200; i++) {
+            page1.push(actionListEntry(`action${i}`, "test"));
+        }
+
+        test.openwhiskNock()
+            .get(test.openwhiskApiUrlActions())
+            .query({ limit: 200, skip: 0 })
+            .reply(200, page1);
+        test.openwhiskNock()
+            .get(test.openwhiskApiUrlActions())
+            .query({ limit: 200, skip: 200 })
+            .reply(200, [actionListEntry("last", "test")]);
+
+        const list = await actions.listActions(this.wsk);
+        assert.strictEqual(list.length, 201);
+
+        test.assertAllNocksInvoked();
+    });
+});
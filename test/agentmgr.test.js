@@ -21,8 +21,19 @@
 
 const wskdebug = require('../index');
 const Debugger = require("../src/debugger");
+const AgentMgr = require("../src/agentmgr");
+const Agent = require("../src/agents/agent");
+const ConcurrencyAgent = require("../src/agents/concurrency");
+const { readLatestBackup } = require("../src/backups");
+const { getSessionOwner } = require("../src/actions");
 
 const test = require('./test');
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const tmp = require('tmp');
 
 describe('agentmgr',  function() {
     this.timeout(30000);
@@ -39,28 +50,32 @@ describe('agentmgr',  function() {
         test.afterEach();
     });
 
-    function mockActivationDbAgent(action, code) {
+    function mockActivationDbAgent(action, code, concurrencyRejected=true) {
         test.mockAction(action, code);
 
         test.mockCreateBackupAction(action);
 
-        // wskdebug overwriting the action with the agent
-        test.openwhiskNock()
-            .put(
-                `${test.openwhiskApiUrlActions()}/${action}?overwrite=true`,
-                body => body.annotations.some(v => v.key === "wskdebug" && v.value === true)
-            )
-            .matchHeader("authorization", test.openwhiskApiAuthHeader())
-            .reply(400, {
-                code: 'df940ccf1d076f103c3743685c25d2b2',
-                error: 'The request content was malformed:\nrequirement failed: concurrency 200 exceeds allowed threshold of 1'
-            });
+        if (concurrencyRejected) {
+            // wskdebug overwriting the action with the agent
+            test.openwhiskNock()
+                .put(
+                    `${test.openwhiskApiUrlActions()}/${action}?overwrite=true`,
+                    body => body.annotations.some(v => v.key === "wskdebug" && v.value === true)
+                )
+                .matchHeader("authorization", test.openwhiskApiAuthHeader())
+                .reply(400, {
+                    code: 'df940ccf1d076f103c3743685c25d2b2',
+                    error: 'The request content was malformed:\nrequirement failed: concurrency 200 exceeds allowed threshold of 1'
+                });
+        }
 
         // another wskdebug with non-concurrent action
         test.openwhiskNock()
             .put(
                 `${test.openwhiskApiUrlActions()}/${action}?overwrite=true`,
                 body => body.annotations.some(v => v.key === "wskdebug" && v.value === true)
+                    && body.annotations.some(v => v.key === "wskdebug-agent" && v.value === "activationdb")
+                    && body.limits.concurrency === 1
             )
             .matchHeader("authorization", test.openwhiskApiAuthHeader())
             .reply(200, test.nodejsActionDescription(action));
@@ -144,12 +159,408 @@ describe('agentmgr',  function() {
         test.assertAllNocksInvoked();
     });
 
+    it("should use activation db agent if selected with --agent", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'CORRECT' });`;
+
+        mockActivationDbAgent(action, code, false);
+
+        const argv = {
+            port: test.port,
+            action: "myaction",
+            agent: "activationdb"
+        };
+
+        const dbgr = new Debugger(argv);
+        await dbgr.start();
+        dbgr.run();
+
+        // wait a bit
+        await test.sleep(500);
+
+        await dbgr.stop();
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should use an agent plugin from a path with --agent", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'CORRECT' });`;
+
+        tmp.setGracefulCleanup();
+        const pluginFile = path.join(tmp.dirSync({ unsafeCleanup: true }).name, "my-agent.js");
+        fs.writeFileSync(pluginFile, `
+            const Agent = require(${JSON.stringify(path.resolve("src/agents/agent"))});
+            class MyAgent extends Agent {
+                async getCode(agentAction) {
+                    agentAction.parameters.push({ key: "$myAgent", value: true });
+                    return "my agent code";
+                }
+                async waitForActivation() {
+                    // ends the session
+                    return null;
+                }
+            }
+            module.exports = MyAgent;
+        `);
+
+        test.mockAction(action, code);
+        test.mockCreateBackupAction(action);
+        test.openwhiskNock()
+            .put(
+                `${test.openwhiskApiUrlActions()}/${action}?overwrite=true`,
+                body => body.exec.code === "my agent code"
+                    && body.parameters.some(v => v.key === "$myAgent")
+                    && body.annotations.some(v => v.key === "wskdebug-agent" && v.value === pluginFile)
+            )
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(action));
+        test.mockRestoreAction(action, code);
+
+        const dbgr = new Debugger({
+            port: test.port,
+            action: "myaction",
+            agent: pluginFile
+        });
+        await dbgr.start();
+        await dbgr.run();
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should fail on invalid agents", async function() {
+        assert.throws(() => new AgentMgr({ agent: "./does-not-exist.js" }, undefined, "myaction"), /Could not load agent '.\/does-not-exist.js'/);
+        assert.throws(() => new AgentMgr({ agent: "assert" }, undefined, "myaction"), /must export a class extending src\/agents\/agent.js/);
+        assert.throws(() => new AgentMgr({ agent: "activationdb", ngrok: true }, undefined, "myaction"), /--ngrok cannot be used with --agent activationdb/);
+    });
+
+    it("should pass the fallback policy to the agent and fall back on container errors", async function() {
+        const action = "myaction";
+        const code = `const main = () => { throw new Error("CRASH"); };`;
+
+        test.mockAction(action, code);
+        test.mockCreateBackupAction(action);
+        test.openwhiskNock()
+            .put(
+                `${test.openwhiskApiUrlActions()}/${action}?overwrite=true`,
+                body => body.parameters.some(v => v.key === "$fallback"
+                    && v.value.timeout === 10 && v.value.queue === 2 && v.value.error === true)
+            )
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(action));
+
+        test.nockActivation(action, body => body.$waitForActivation === true)
+            .reply(200, { response: { result: { $activationId: "1234", $wskdebugAgent: true } } });
+
+        // instead of the result, the agent is told to invoke the original action
+        test.nockActivation(action, body => body.$activationId === "1234"
+            && body.$wskdebugFallback.startsWith("local container responded with 502"))
+            .reply(200, { response: { result: { message: "Completed" } } });
+
+        test.nockActivation(action, body => body.$waitForActivation === true)
+            .reply(502, test.agentExitResponse());
+
+        test.mockRestoreAction(action, code);
+
+        await wskdebug(`${action} -p ${test.port} --fallback-timeout 10 --fallback-queue 2 --fallback-on-error`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should pass the hit policy to the agent", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'CORRECT' });`;
+
+        test.mockAction(action, code);
+        test.mockCreateBackupAction(action);
+        test.openwhiskNock()
+            .put(
+                `${test.openwhiskApiUrlActions()}/${action}?overwrite=true`,
+                body => body.parameters.some(v => v.key === "$hitPolicy"
+                    && v.value.first === 2 && v.value.every === 3 && v.value.percent === 50
+                    && v.value.window.until - v.value.window.from === 90 * 60 * 1000)
+            )
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(action));
+        test.expectAgentInvocation(action, {}, { msg: "CORRECT" });
+        test.mockRestoreAction(action, code);
+
+        await wskdebug(`${action} -p ${test.port} --hit-first 2 --hit-every 3 --hit-percent 50 --hit-window 23:00-00:30`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should fail on invalid hit policies before installing the agent", async function() {
+        for (const argv of [{ hitFirst: 0 }, { hitEvery: 1.5 }, { hitPercent: 101 }, { hitWindow: "25:00-26:00" }, { hitWindow: "14:00" }]) {
+            await assert.rejects(new AgentMgr(argv, undefined, "myaction").installAgent(), /Invalid --hit-/);
+        }
+    });
+
+    it("should fail on invalid hit conditions before installing the agent", async function() {
+        await assert.rejects(
+            new AgentMgr({ condition: "debug = 'true'" }, undefined, "myaction").installAgent(),
+            /Invalid hit condition 'debug = 'true'': Unexpected character '=' at position 7/
+        );
+    });
+
+    it("should set the agent timeout to the maximum allowed by openwhisk", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'CORRECT' });`;
+
+        test.mockAction(action, code);
+        test.mockCreateBackupAction(action);
+        test.openwhiskNock()
+            .put(
+                `${test.openwhiskApiUrlActions()}/${action}?overwrite=true`,
+                body => body.limits.timeout === 60 * 60 * 1000 && body.limits.concurrency === 200
+            )
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(action));
+        test.expectAgentInvocation(action, {}, { msg: "CORRECT" });
+        test.mockRestoreAction(action, code);
+
+        await wskdebug(`${action} -p ${test.port}`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    async function expectDefaultAgentTimeout(action, code) {
+        test.mockAction(action, code);
+        test.mockCreateBackupAction(action);
+        test.openwhiskNock()
+            .put(
+                `${test.openwhiskApiUrlActions()}/${action}?overwrite=true`,
+                body => body.limits.timeout === 5 * 60 * 1000
+            )
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(action));
+        test.expectAgentInvocation(action, {}, { msg: "CORRECT" });
+        test.mockRestoreAction(action, code);
+
+        await wskdebug(`${action} -p ${test.port}`);
+
+        test.assertAllNocksInvoked();
+    }
+
+    it("should set the agent timeout to 5 minutes if openwhisk does not report its limits", async function() {
+        test.mockSystemInfo(200, { api_paths: ["/api/v1"], description: "OpenWhisk" });
+        await expectDefaultAgentTimeout("myaction", `const main = () => ({ msg: 'CORRECT' });`);
+    });
+
+    it("should set the agent timeout to 5 minutes if the limits of openwhisk cannot be retrieved", async function() {
+        test.mockSystemInfo(500, { error: "Internal server error" });
+        await expectDefaultAgentTimeout("myaction", `const main = () => ({ msg: 'CORRECT' });`);
+    });
+
+    it("should clamp --agent-timeout to the limits of openwhisk", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'CORRECT' });`;
+
+        test.mockAction(action, code);
+        test.mockCreateBackupAction(action);
+        test.openwhiskNock()
+            .put(
+                `${test.openwhiskApiUrlActions()}/${action}?overwrite=true`,
+                body => body.limits.timeout === 60 * 60 * 1000
+            )
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(action));
+        test.expectAgentInvocation(action, {}, { msg: "CORRECT" });
+        test.mockRestoreAction(action, code);
+
+        await wskdebug(`${action} -p ${test.port} --agent-timeout 7200`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should pass the heartbeat timeout to the agent", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'CORRECT' });`;
+
+        test.mockAction(action, code);
+        test.mockCreateBackupAction(action);
+        test.openwhiskNock()
+            .put(
+                `${test.openwhiskApiUrlActions()}/${action}?overwrite=true`,
+                body => body.parameters.some(v => v.key === "$heartbeatTimeout" && v.value === 5)
+            )
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(action));
+        test.expectAgentInvocation(action, {}, { msg: "CORRECT" });
+        test.mockRestoreAction(action, code);
+
+        await wskdebug(`${action} -p ${test.port} --heartbeat-timeout 5`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should not restore the action if the agent restored it by itself", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'CORRECT' });`;
+
+        test.mockAction(action, code);
+        test.mockCreateBackupAction(action);
+        test.openwhiskNock()
+            .put(
+                `${test.openwhiskApiUrlActions()}/${action}?overwrite=true`,
+                body => {
+                    const watchdog = body.parameters.find(v => v.key === "$watchdog").value;
+                    const started = body.annotations.find(v => v.key === "wskdebug-started").value;
+                    return watchdog.started === started
+                        && watchdog.deadline === started + 60 * 60 * 1000
+                        && watchdog.silence < 0.01;
+                }
+            )
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(action));
+
+        // agent action restored the original action after wskdebug was silent
+        test.nockActivation(action, body => body.$waitForActivation === true)
+            .delay(50)
+            .reply(502, {
+                response: {
+                    success: false,
+                    result: {
+                        error: {
+                            error: "Agent restored the original action: debugger silent for too long.",
+                            code: 44
+                        }
+                    }
+                }
+            });
+        test.mockGetAction(action, test.nodejsActionDescription(action));
+        // no restore
+
+        await wskdebug(`${action} -p ${test.port} --self-restore-deadline 60 --self-restore-silence 0.0001`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should end the session if a poll gets the result of the restored original action", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'CORRECT' });`;
+
+        test.mockAction(action, code);
+        test.mockCreateBackupAction(action);
+        test.mockInstallAgent(action);
+
+        // deadline passed between two polls, the poll invoked the restored original action
+        test.nockActivation(action, body => body.$waitForActivation === true)
+            .reply(200, { response: { result: { msg: "ORIGINAL" } } });
+        test.mockGetAction(action, test.nodejsActionDescription(action));
+        // no restore and no activation run locally
+
+        await wskdebug(`${action} -p ${test.port} --self-restore-deadline 60`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should run shadow activations locally without passing their result to the agent", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'CORRECT' });`;
+
+        test.mockAction(action, code);
+        test.mockCreateBackupAction(action);
+        test.openwhiskNock()
+            .put(
+                `${test.openwhiskApiUrlActions()}/${action}?overwrite=true`,
+                body => body.parameters.some(v => v.key === "$shadow" && v.value === true)
+            )
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(action));
+
+        test.nockActivation(action, body => body.$waitForActivation === true)
+            .reply(200, { response: { result: { $activationId: "1234", $wskdebugShadow: true, $wskdebugAgent: true } } });
+        // no completion, the agent already returned the result of the original action
+        test.nockActivation(action, body => body.$waitForActivation === true)
+            .reply(502, test.agentExitResponse());
+
+        test.mockRestoreAction(action, code);
+
+        await wskdebug(`${action} -p ${test.port} --shadow`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should not pass results or fallbacks of shadow activations to the agent", async function() {
+        const agentMgr = new AgentMgr({}, undefined, "myaction");
+        agentMgr.agent = {
+            waitForActivation: async () => ({ $activationId: "1234", $wskdebugShadow: true, input: "test" }),
+            getActivationMarker: () => undefined,
+            completeActivation: async () => assert.fail("result of shadow activation passed to agent")
+        };
+
+        assert.deepStrictEqual(await agentMgr.waitForActivations(), { $activationId: "1234", input: "test" });
+        assert.strictEqual(await agentMgr.completeActivation("1234", { msg: "result" }, 100), true);
+
+        await agentMgr.waitForActivations();
+        assert.strictEqual(await agentMgr.fallbackActivation("1234", "local container failed"), true);
+    });
+
+    it("should fail if the agent does not support shadow mode", async function() {
+        const agentMgr = new AgentMgr({ shadow: true }, undefined, "myaction");
+        agentMgr.AgentClass = Agent;
+        agentMgr.agentName = "my-agent";
+        await assert.rejects(agentMgr.installAgent(), /--shadow is not supported by agent 'my-agent'/);
+    });
+
+    it("should compare local and original results and return the chosen one with --compare", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'CORRECT' });`;
+
+        test.mockAction(action, code);
+        test.mockCreateBackupAction(action);
+        test.mockInstallAgent(action);
+
+        // original action invoked with the same parameters
+        test.nockActivation(`${action}_wskdebug_original`, body => body.input === "test")
+            .reply(200, { activationId: "5678", duration: 12, response: { status: "success", success: true, result: { msg: "ORIGINAL" } } });
+
+        test.expectAgentInvocation(action, { input: "test" }, { msg: "ORIGINAL" });
+        test.mockRestoreAction(action, code);
+
+        await wskdebug(`${action} -p ${test.port} --compare --compare-result original`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should send heartbeats to the concurrency agent while not polling", async function() {
+        const invocations = [];
+        const agent = new ConcurrencyAgent({
+            argv: { heartbeatTimeout: 0.3 },
+            actionName: "myaction",
+            wsk: {
+                actions: {
+                    invoke: async options => {
+                        invocations.push(options.params);
+                        if (options.params.$waitForActivation) {
+                            await test.sleep(300);
+                            return { response: { result: { $activationId: "1234" } } };
+                        }
+                    }
+                }
+            }
+        });
+
+        try {
+            await agent.waitForActivation();
+            assert.deepStrictEqual(invocations, [{ $waitForActivation: true }]);
+
+            // e.g. all activations it can handle are running
+            await test.sleep(300);
+            assert.ok(invocations.slice(1).length > 0);
+            assert.ok(invocations.slice(1).every(params => params.$heartbeat === true));
+        } finally {
+            agent.stop();
+        }
+    });
+
     it("should handle if the agent was left around from a previous run", async function() {
         const action = "myaction";
         const actionCode = `const main = () => ({ msg: 'CORRECT' });`;
         const agentCode = `const main = () => ({ msg: 'WRONG' });`;
 
-        // 1. action - both w/o and with code, but holds the agent
+        // 1. action - holds the agent
         const agentDescriptionWithoutCode = test.nodejsActionDescription(action);
         agentDescriptionWithoutCode.annotations.push({ "key": "wskdebug", "value": true });
 
@@ -163,12 +574,6 @@ describe('agentmgr',  function() {
             .query({"code":"false"})
             .reply(200, agentDescriptionWithoutCode);
 
-        test.openwhiskNock()
-            .get(`${test.openwhiskApiUrlActions()}/${action}`)
-            .matchHeader("authorization", test.openwhiskApiAuthHeader())
-            .optionally()
-            .reply(200, agentDescription);
-
         // 2. backup of action
         const actionDescriptionWithoutCode = test.nodejsActionDescription(`${action}_wskdebug_original`);
         const actionDescription = test.nodejsActionDescription(`${action}_wskdebug_original`);
@@ -193,6 +598,7 @@ describe('agentmgr',  function() {
             )
             .matchHeader("authorization", test.openwhiskApiAuthHeader())
             .reply(200, agentDescriptionWithoutCode);
+        test.mockVerifyRestoredAction(action, actionCode);
 
         // 4. install agent
         test.openwhiskNock()
@@ -222,6 +628,162 @@ describe('agentmgr',  function() {
         test.assertAllNocksInvoked();
     });
 
+    // owner of a wskdebug session that has ended
+    function getEndedSessionOwner() {
+        return { ...getSessionOwner(), pid: spawnSync(process.execPath, ["-e", ""]).pid };
+    }
+
+    // concurrency agent as installed by a wskdebug session started a few seconds ago with default options
+    async function mockReusableAgent(action, actionCode, owner=getEndedSessionOwner(), parameters=[]) {
+        const started = Date.now() - 5000;
+        const agentCode = await new ConcurrencyAgent({}).getCode();
+
+        const agentDescription = test.agentActionDescription(action);
+        // maximum of the mocked openwhisk
+        agentDescription.limits.timeout = 60 * 60 * 1000;
+        agentDescription.annotations.push(
+            { key: "wskdebug-agent", value: "concurrency" },
+            { key: "wskdebug-started", value: started },
+            { key: "wskdebug-version", value: require("../package.json").version },
+            { key: "wskdebug-code-hash", value: crypto.createHash("sha256").update(agentCode).digest("hex") },
+            { key: "wskdebug-owner", value: owner }
+        );
+        agentDescription.parameters = [
+            { key: "$heartbeatTimeout", value: 30 },
+            { key: "$watchdog", value: { started: started, deadline: started + 12 * 60 * 60 * 1000, silence: 600 } },
+            ...parameters
+        ];
+        test.mockGetAction(action, agentDescription);
+        test.mockGetAction(`${action}_wskdebug_original`, test.nodejsActionDescription(`${action}_wskdebug_original`), actionCode);
+    }
+
+    it("should write a local backup of the original action", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'CORRECT' });`;
+
+        test.mockActionAndInvocation(action, code, {}, { msg: "CORRECT" });
+
+        await wskdebug(`${action} -p ${test.port}`);
+
+        test.assertAllNocksInvoked();
+        const backup = readLatestBackup("example.com", "test", action);
+        assert.strictEqual(backup.action.exec.code, code);
+    });
+
+    it("should reuse an installed agent of the same type and version and record this session as owner", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'CORRECT' });`;
+
+        await mockReusableAgent(action, code);
+        // no backup, nock fails on any other PUT before the restore
+        let owner;
+        test.openwhiskNock()
+            .put(
+                `${test.openwhiskApiUrlActions()}/${action}?overwrite=true`,
+                body => {
+                    owner = (body.annotations.find(v => v.key === "wskdebug-owner") || {}).value;
+                    return body.annotations.some(v => v.key === "wskdebug-agent" && v.value === "concurrency");
+                }
+            )
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(action));
+        test.expectAgentInvocation(action, {}, { msg: "CORRECT" });
+        test.mockRestoreAction(action, code);
+
+        await wskdebug(`${action} -p ${test.port}`);
+
+        test.assertAllNocksInvoked();
+        assert.deepStrictEqual(owner, getSessionOwner());
+        // another wskdebug process must see the agent as locked by this one
+        const check = spawnSync(process.execPath, [
+            "-e", "console.log(require('./src/actions').isOwnedByOtherSession(JSON.parse(process.argv[1])))",
+            JSON.stringify(owner)
+        ], { cwd: path.join(__dirname, "..") });
+        assert.strictEqual(check.stdout.toString().trim(), "true");
+    });
+
+    it("should only update the parameters of a reused agent if they changed", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'CORRECT' });`;
+
+        await mockReusableAgent(action, code);
+        test.openwhiskNock()
+            .put(
+                `${test.openwhiskApiUrlActions()}/${action}?overwrite=true`,
+                body => body.parameters.some(v => v.key === "$heartbeatTimeout" && v.value === 5)
+                    && body.annotations.some(v => v.key === "wskdebug-agent" && v.value === "concurrency")
+            )
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(action));
+        test.expectAgentInvocation(action, {}, { msg: "CORRECT" });
+        test.mockRestoreAction(action, code);
+
+        await wskdebug(`${action} -p ${test.port} --heartbeat-timeout 5`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should update a reused agent with a hit policy to start without the hit counters of the previous session", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'CORRECT' });`;
+
+        // same hit policy as the previous session
+        await mockReusableAgent(action, code, undefined, [{ key: "$hitPolicy", value: { first: 2 } }]);
+        test.openwhiskNock()
+            .put(
+                `${test.openwhiskApiUrlActions()}/${action}?overwrite=true`,
+                body => body.parameters.some(v => v.key === "$hitPolicy" && v.value.first === 2)
+            )
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(action));
+        test.expectAgentInvocation(action, {}, { msg: "CORRECT" });
+        test.mockRestoreAction(action, code);
+
+        await wskdebug(`${action} -p ${test.port} --hit-first 2`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should refuse to debug an action being debugged by another session", async function() {
+        const action = "myaction";
+
+        const agentDescription = test.agentActionDescription(action);
+        agentDescription.annotations.push(
+            { key: "wskdebug-agent", value: "concurrency" },
+            { key: "wskdebug-started", value: Date.now() },
+            { key: "wskdebug-owner", value: { user: "alice", hostname: "other-host", pid: 1 } }
+        );
+        test.mockGetAction(action, agentDescription);
+
+        await assert.rejects(
+            wskdebug(`${action} -p ${test.port}`),
+            /Action myaction is being debugged by alice@other-host \(pid 1\) since .*Use --force to take over/
+        );
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should take over an action being debugged by another session if --force is set", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'CORRECT' });`;
+        const owner = getSessionOwner();
+
+        await mockReusableAgent(action, code, { user: "alice", hostname: "other-host", pid: 1 });
+        test.openwhiskNock()
+            .put(
+                `${test.openwhiskApiUrlActions()}/${action}?overwrite=true`,
+                body => body.annotations.some(v => v.key === "wskdebug-owner" && v.value.hostname === owner.hostname && v.value.pid === owner.pid)
+            )
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(action));
+        test.expectAgentInvocation(action, {}, { msg: "CORRECT" });
+        test.mockRestoreAction(action, code);
+
+        await wskdebug(`${action} -p ${test.port} --force`);
+
+        test.assertAllNocksInvoked();
+    });
+
     it("should remove backup action if --cleanup is set", async function() {
         const action = "myaction";
         const code = `const main = () => ({ msg: 'CORRECT' });`;
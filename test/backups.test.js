@@ -0,0 +1,93 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const { writeBackup, readLatestBackup } = require('../src/backups');
+
+const test = require('./test');
+const assert = require('assert');
+const fs = require('fs-extra');
+const path = require('path');
+
+function action(code) {
+    return { ...test.nodejsActionDescription("myaction"), exec: { kind: "nodejs:10", code: code } };
+}
+
+describe('backups', function() {
+
+    beforeEach(async function() {
+        await test.beforeEach();
+    });
+
+    afterEach(function() {
+        test.afterEach();
+    });
+
+    it("should read the newest local backup", async function() {
+        // written within the same millisecond
+        await writeBackup("example.com", "test", "mypackage/myaction", action("old"));
+        const file = await writeBackup("example.com", "test", "mypackage/myaction", action("new"));
+
+        assert(file.startsWith(`${process.env.WSKDEBUG_STATE_DIR}/backups/example.com/test/mypackage/myaction/`));
+        assert.strictEqual(readLatestBackup("example.com", "test", "mypackage/myaction").action.exec.code, "new");
+        assert.strictEqual(readLatestBackup("example.com", "test", "otheraction"), undefined);
+    });
+
+    it("should skip local backups with a wrong checksum", async function() {
+        await writeBackup("example.com", "test", "myaction", action("old"));
+        await test.sleep(5);
+        const file = await writeBackup("example.com", "test", "myaction", action("new"));
+
+        const backup = fs.readJsonSync(file);
+        backup.action.exec.code = "changed";
+        fs.writeJsonSync(file, backup);
+
+        assert.strictEqual(readLatestBackup("example.com", "test", "myaction").action.exec.code, "old");
+    });
+
+    it("should only let the user read local backups", async function() {
+        // backups directory of an older wskdebug
+        const backupsDir = `${process.env.WSKDEBUG_STATE_DIR}/backups`;
+        fs.mkdirpSync(backupsDir, { mode: 0o755 });
+
+        const file = await writeBackup("example.com", "test", "mypackage/myaction", action("secret"));
+
+        const mode = file => fs.statSync(file).mode & 0o777;
+        assert.strictEqual(mode(file), 0o600);
+        assert.strictEqual(mode(path.dirname(file)), 0o700);
+        assert.strictEqual(mode(`${backupsDir}/example.com`), 0o700);
+        assert.strictEqual(mode(backupsDir), 0o700);
+    });
+
+    it("should prune old local backups", async function() {
+        let file;
+        for (let i = 0; i < 12; i++) {
+            file = await writeBackup("example.com", "test", "myaction", action(`code ${i}`));
+        }
+        const dir = file.substring(0, file.lastIndexOf("/"));
+        assert.strictEqual(fs.readdirSync(dir).length, 10);
+
+        // older than 30 days, except the newest
+        const old = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000);
+        fs.readdirSync(dir).forEach(name => fs.utimesSync(`${dir}/${name}`, old, old));
+        await writeBackup("example.com", "test", "myaction", action("code 12"));
+        assert.strictEqual(fs.readdirSync(dir).length, 1);
+    });
+});
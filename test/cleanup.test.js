@@ -0,0 +1,147 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+// tests wskdebug cleanup command
+
+const wskdebug = require('../index');
+
+const test = require('./test');
+const assert = require('assert');
+
+// marked as agent
+const AGENT = [{ key: "wskdebug", value: true }];
+// agent of a session on another host, which might still be running
+const LOCKED_AGENT = [...AGENT, { key: "wskdebug-owner", value: { user: "alice", hostname: "other-host", pid: 1 } }];
+
+function mockDeleteAction(name, status=200) {
+    test.openwhiskNock()
+        .delete(`${test.openwhiskApiUrlActions()}/${name}`)
+        .matchHeader("authorization", test.openwhiskApiAuthHeader())
+        .reply(status, {});
+}
+
+describe('wskdebug cleanup', function() {
+
+    beforeEach(async function() {
+        await test.beforeEach();
+    });
+
+    afterEach(function() {
+        test.afterEach();
+    });
+
+    it("should restore agents and delete orphaned backups and helpers with --yes", async function() {
+        const code = `const main = () => ({ msg: 'ORIGINAL' });`;
+
+        test.mockActionList([
+            test.actionListEntry("agent", AGENT),
+            test.actionListEntry("agent_wskdebug_original"),
+            test.actionListEntry("agent_wskdebug_invoked"),
+            test.actionListEntry("redeployed"),
+            test.actionListEntry("redeployed_wskdebug_original"),
+            test.actionListEntry("deleted_wskdebug_completed"),
+            test.actionListEntry("deleted_wskdebug_invoked"),
+            test.actionListEntry("untouched")
+        ]);
+
+        // restoring the agent, including backup and helpers
+        test.mockGetAction("agent", test.agentActionDescription("agent"));
+        test.mockGetAction("agent_wskdebug_original", test.nodejsActionDescription("agent_wskdebug_original"), code);
+        test.mockRestoreAction("agent", code);
+        test.mockRemoveBackupAction("agent");
+        test.mockGetAction("agent_wskdebug_invoked", {});
+        mockDeleteAction("agent_wskdebug_invoked");
+        test.mockActionNotFound("agent_wskdebug_completed");
+
+        // orphaned leftovers
+        mockDeleteAction("redeployed_wskdebug_original");
+        mockDeleteAction("deleted_wskdebug_completed");
+        mockDeleteAction("deleted_wskdebug_invoked");
+
+        await wskdebug(`cleanup --yes`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should skip agents of other sessions unless --force is set", async function() {
+        const code = `const main = () => ({ msg: 'ORIGINAL' });`;
+        const leftovers = [
+            test.actionListEntry("locked", LOCKED_AGENT),
+            test.actionListEntry("locked_wskdebug_original")
+        ];
+
+        // nock fails on any restore
+        test.mockActionList(leftovers);
+        await wskdebug(`cleanup --yes`);
+        test.assertAllNocksInvoked();
+
+        test.mockActionList(leftovers);
+        test.mockGetAction("locked", { ...test.agentActionDescription("locked"), annotations: LOCKED_AGENT });
+        test.mockGetAction("locked_wskdebug_original", test.nodejsActionDescription("locked_wskdebug_original"), code);
+        test.mockRestoreAction("locked", code);
+        test.mockRemoveBackupAction("locked");
+        test.mockActionNotFound("locked_wskdebug_invoked");
+        test.mockActionNotFound("locked_wskdebug_completed");
+        await wskdebug(`cleanup --yes --force`);
+        test.assertAllNocksInvoked();
+    });
+
+    it("should do nothing if there are no leftovers", async function() {
+        test.mockActionList([
+            test.actionListEntry("action1"),
+            test.actionListEntry("action2")
+        ]);
+
+        await wskdebug(`cleanup --yes`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should continue with other leftovers and fail at the end if one fails", async function() {
+        test.mockActionList([
+            test.actionListEntry("a_wskdebug_invoked"),
+            test.actionListEntry("b_wskdebug_invoked")
+        ]);
+
+        mockDeleteAction("a_wskdebug_invoked", 500);
+        mockDeleteAction("b_wskdebug_invoked");
+
+        await assert.rejects(
+            wskdebug(`cleanup --yes`),
+            /Failed to clean up 1 of 2 leftovers/
+        );
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should require --yes without a terminal", async function() {
+        const isTTY = process.stdin.isTTY;
+        process.stdin.isTTY = false;
+        try {
+            await assert.rejects(
+                wskdebug(`cleanup`),
+                /Use --yes/
+            );
+        } finally {
+            process.stdin.isTTY = isTTY;
+        }
+    });
+});
@@ -0,0 +1,100 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const { missedHitPolicy, watchdogExpired } = require('../agent/common');
+const Agent = require('../src/agents/agent');
+const assert = require('assert');
+const fs = require('fs-extra');
+const vm = require('vm');
+
+const AGENTS = ["agent-concurrency.js", "agent-activationdb.js", "agent-ngrok.js", "agent-relay.js"];
+
+function readAgentCode(file) {
+    return Agent.insertSharedCode(fs.readFileSync(`${__dirname}/../agent/${file}`, {encoding: 'utf8'}));
+}
+
+// runs the agent action code like the nodejs runtime, with a fake openwhisk client library
+function loadAgentAction(file, openwhisk) {
+    const context = vm.createContext({
+        require: name => name === "openwhisk" ? openwhisk : require(name),
+        console: { log() {}, error() {} },
+        process: { env: { __OW_ACTION_NAME: "/test/myaction" } },
+        setTimeout,
+        clearTimeout
+    });
+    vm.runInContext(readAgentCode(file), context, { filename: file });
+    return context.main;
+}
+
+describe('agent actions', function() {
+
+    it("should be inserted into all agent actions", function() {
+        for (const file of AGENTS) {
+            const code = readAgentCode(file);
+            assert.ok(!code.includes("wskdebug: insert"), file);
+            assert.ok(!code.includes("module.exports"), file);
+            assert.strictEqual(code.split("function invokeOriginal(").length, 2, file);
+            // fails on duplicate declarations
+            assert.doesNotThrow(() => new vm.Script(code, { filename: file }), file);
+        }
+    });
+
+    it("should debug every n-th and the first n activations", function() {
+        const results = [];
+        for (let i = 0; i < 6; i++) {
+            results.push(missedHitPolicy({ every: 2, first: 2 }));
+        }
+        assert.deepStrictEqual(results.map(r => r === undefined), [false, true, false, true, false, false]);
+        assert.strictEqual(results[5], "first 2 activations already debugged");
+    });
+
+    it("should expire the watchdog after the deadline or silence", function() {
+        assert.strictEqual(watchdogExpired(undefined, 0), undefined);
+        assert.strictEqual(watchdogExpired({ deadline: Date.now() + 60000, silence: 10 }, 5000), undefined);
+        assert.strictEqual(watchdogExpired({ deadline: Date.now() - 1 }, 0), "session deadline passed");
+        assert.strictEqual(watchdogExpired({ silence: 10 }, 11000), "debugger silent for more than 10 seconds");
+    });
+
+    it("should restore the original action and end a waiting poll when the deadline passes", async function() {
+        const watchdog = { started: 1000, deadline: Date.now() + 300 };
+        const updates = [];
+        const main = loadAgentAction("agent-concurrency.js", () => ({
+            actions: {
+                get: async options => {
+                    if (typeof options === "object") {
+                        // current action without code: still this agent
+                        return { annotations: [{ key: "wskdebug", value: true }, { key: "wskdebug-started", value: 1000 }] };
+                    }
+                    return { exec: { kind: "nodejs:10", code: "original" } };
+                },
+                update: async options => updates.push(options)
+            }
+        }));
+
+        // wskdebug is polling, no activations arrive until the deadline
+        await assert.rejects(
+            main({ $waitForActivation: true, $watchdog: watchdog }),
+            e => e.code === 44 && e.error === "Agent restored the original action: session deadline passed."
+        );
+        // objects of the agent are from another realm
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(updates)), [{ name: "/test/myaction", action: { exec: { kind: "nodejs:10", code: "original" } } }]);
+    });
+});
@@ -0,0 +1,115 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const { parseCondition, evaluateCondition, hit } = require('../agent/condition');
+const ConcurrencyAgent = require('../src/agents/concurrency');
+const assert = require('assert');
+
+function evaluate(condition, args) {
+    return evaluateCondition(parseCondition(condition), args);
+}
+
+const args = {
+    debug: "true",
+    count: 5,
+    user: { name: "bob", roles: ["admin", "dev"] },
+    __ow_headers: { "x-debug": "yes", "user-agent": "Mozilla/5.0 Chrome/80.0" },
+    __ow_path: "/api/users/42"
+};
+
+describe('condition', function() {
+
+    it("should compare values", function() {
+        assert.strictEqual(evaluate("debug == 'true'", args), true);
+        assert.strictEqual(evaluate('debug != "true"', args), false);
+        assert.strictEqual(evaluate("count === 5", args), true);
+        assert.strictEqual(evaluate("count !== '5'", args), true);
+        assert.strictEqual(evaluate("count > 4 && count <= 5", args), true);
+        assert.strictEqual(evaluate("count < -1", args), false);
+        assert.strictEqual(evaluate("missing === undefined", args), true);
+    });
+
+    it("should support boolean logic with javascript precedence", function() {
+        assert.strictEqual(evaluate("!(count > 10)", args), true);
+        assert.strictEqual(evaluate("false || true && false", args), false);
+        assert.strictEqual(evaluate("(false || true) && !false", args), true);
+    });
+
+    it("should resolve nested paths", function() {
+        assert.strictEqual(evaluate("__ow_headers['x-debug'] == 'yes'", args), true);
+        assert.strictEqual(evaluate("user.name == 'bob'", args), true);
+        assert.strictEqual(evaluate("user.roles[1] == 'dev'", args), true);
+        assert.strictEqual(evaluate("user.roles.length", args), 2);
+        assert.strictEqual(evaluate("missing.nested.path == 'x'", args), false);
+    });
+
+    it("should match regular expressions", function() {
+        assert.strictEqual(evaluate("__ow_path =~ /^\\/api\\/users\\/[0-9]+$/", args), true);
+        assert.strictEqual(evaluate("user.name =~ /BOB/i", args), true);
+        assert.strictEqual(evaluate("user.name !~ /alice/", args), true);
+        assert.strictEqual(evaluate("missing =~ /undefined/", args), false);
+    });
+
+    it("should check membership in lists", function() {
+        assert.strictEqual(evaluate("user.name in ['alice', 'bob']", args), true);
+        assert.strictEqual(evaluate("'admin' in user.roles", args), true);
+        assert.strictEqual(evaluate("count in [1, 2, 3]", args), false);
+    });
+
+    it("should support string and array methods", function() {
+        assert.strictEqual(evaluate("__ow_headers['user-agent'].includes('Chrome')", args), true);
+        assert.strictEqual(evaluate("user.name.toUpperCase().startsWith('BO')", args), true);
+        assert.strictEqual(evaluate("user.roles.includes('dev')", args), true);
+        assert.strictEqual(evaluate("count.includes(5)", args), undefined);
+    });
+
+    it("should not give access to prototypes or globals", function() {
+        assert.strictEqual(evaluate("constructor", args), undefined);
+        assert.strictEqual(evaluate("user.__proto__", args), undefined);
+        assert.strictEqual(evaluate("user.name.constructor", args), undefined);
+        assert.strictEqual(evaluate("process", args), undefined);
+        assert.throws(() => parseCondition("user.name.constructor('return process')()"), /Unsupported method 'constructor\(\)'/);
+    });
+
+    it("should reject invalid conditions with the position", function() {
+        assert.throws(() => parseCondition("debug = 'true'"), /Unexpected character '=' at position 7/);
+        assert.throws(() => parseCondition("debug == 'true"), /Unterminated string at position 10/);
+        assert.throws(() => parseCondition("count > 1 +"), /Unexpected character '\+' at position 11/);
+        assert.throws(() => parseCondition("count >"), /Unexpected end of condition at position 8/);
+        assert.throws(() => parseCondition("a == b == c"), /Unexpected '==' at position 8/);
+        assert.throws(() => parseCondition("name =~ /(/"), /Invalid regular expression \/\(\/ at position 9/);
+        assert.throws(() => parseCondition("require('fs')"), /Unexpected '\('/);
+    });
+
+    it("should hit without a condition and not hit on errors", function() {
+        assert.strictEqual(hit(args), true);
+        assert.strictEqual(hit(args, "debug == 'true'"), true);
+        assert.strictEqual(hit(args, "debug == 'false'"), false);
+        assert.strictEqual(hit(args, "debug = 'true'"), false);
+    });
+
+    it("should be inserted into the agent action code", async function() {
+        const code = await new ConcurrencyAgent({ argv: {} }).getCode();
+        assert.ok(code.includes("function parseCondition("));
+        assert.ok(!code.includes("wskdebug: insert"));
+        assert.ok(!code.includes("module.exports"));
+    });
+});
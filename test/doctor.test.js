@@ -0,0 +1,144 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+// tests wskdebug doctor command
+
+const wskdebug = require('../index');
+const OpenWhiskInvoker = require('../src/invoker');
+
+const test = require('./test');
+const assert = require('assert');
+const stripAnsi = require('strip-ansi');
+const getPort = require('get-port');
+const net = require('net');
+
+async function runDoctor(args) {
+    test.startCaptureStdout();
+    let error;
+    try {
+        await wskdebug(`doctor ${args}`);
+    } catch (e) {
+        error = e;
+    }
+    const stdout = stripAnsi(test.endCaptureStdout().stdout);
+    return { stdout, error };
+}
+
+function mockActionList() {
+    test.openwhiskNock()
+        .get(test.openwhiskApiUrlActions())
+        .query({ limit: 1 })
+        .matchHeader("authorization", test.openwhiskApiAuthHeader())
+        .reply(200, []);
+}
+
+describe('wskdebug doctor', function() {
+
+    beforeEach(async function() {
+        await test.beforeEach();
+        this.port = await getPort();
+
+        // no docker required for these tests
+        this.checkIfDockerAvailable = OpenWhiskInvoker.prototype.checkIfDockerAvailable;
+        this.isImagePresent = OpenWhiskInvoker.prototype.isImagePresent;
+        OpenWhiskInvoker.prototype.checkIfDockerAvailable = async () => {};
+        OpenWhiskInvoker.prototype.isImagePresent = async () => true;
+    });
+
+    afterEach(function() {
+        OpenWhiskInvoker.prototype.checkIfDockerAvailable = this.checkIfDockerAvailable;
+        OpenWhiskInvoker.prototype.isImagePresent = this.isImagePresent;
+        test.endCaptureStdout();
+        test.afterEach();
+    });
+
+    it("should pass all checks", async function() {
+        mockActionList();
+
+        const { stdout, error } = await runDoctor(`-p ${this.port}`);
+
+        assert.strictEqual(error, undefined);
+        assert(stdout.includes("Credentials: https://example.com, namespace test"));
+        assert(stdout.includes("API host: reachable"));
+        assert(stdout.includes("Authentication: credentials accepted"));
+        assert(stdout.includes("OpenWhisk version: 2019-11-08 - a"));
+        assert(stdout.includes("Concurrency: unknown"));
+        assert(stdout.includes("Action: skipped, no <action> given, checking with kind nodejs:10"));
+        assert(stdout.includes("Docker: running"));
+        assert(stdout.includes("Runtime image: adobeapiplatform/adobe-action-nodejs-v10:3.0.21"));
+        assert(stdout.includes(`Debug port: port ${this.port} is available`));
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should warn if the agent of a killed session is still installed", async function() {
+        mockActionList();
+        test.mockGetAction("myaction", test.agentActionDescription("myaction"));
+
+        const { stdout, error } = await runDoctor(`myaction -p ${this.port}`);
+
+        assert.strictEqual(error, undefined);
+        assert(stdout.includes("Action: agent is still installed"));
+        assert(stdout.includes("wskdebug restore myaction"));
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should fail if the debug port is in use", async function() {
+        mockActionList();
+
+        const server = net.createServer();
+        await new Promise(resolve => server.listen(this.port, resolve));
+        try {
+            const { stdout, error } = await runDoctor(`-p ${this.port}`);
+
+            assert(error);
+            assert.strictEqual(error.message, "1 check failed.");
+            assert(stdout.includes(`Debug port: port ${this.port} is already in use`));
+            assert(stdout.includes("wskdebug status"));
+        } finally {
+            server.close();
+        }
+    });
+
+    it("should fail and skip dependent checks without credentials", async function() {
+        process.env.WSK_CONFIG_FILE = "does-not-exist";
+
+        const { stdout, error } = await runDoctor("");
+
+        assert(error);
+        assert(stdout.includes("Credentials: Found no ~/.wskprops"));
+        assert(stdout.includes("API host: skipped, requires credentials"));
+        assert(stdout.includes("Runtime image: skipped"));
+    });
+
+    it("should fail if the credentials are rejected", async function() {
+        test.openwhiskNock()
+            .get(test.openwhiskApiUrlActions())
+            .query({ limit: 1 })
+            .reply(401, { error: "The supplied authentication is invalid" });
+
+        const { stdout, error } = await runDoctor(`-p ${this.port}`);
+
+        assert(error);
+        assert(stdout.includes("Authentication: Credentials rejected"));
+    });
+});
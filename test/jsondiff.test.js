@@ -0,0 +1,50 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const { diff, formatDiff } = require('../src/jsondiff');
+const assert = require('assert');
+
+describe('jsondiff', function() {
+
+    it("should find no differences in equal values", function() {
+        assert.deepStrictEqual(diff({ a: [1, { b: null }], c: "x" }, { c: "x", a: [1, { b: null }] }), []);
+        assert.deepStrictEqual(diff(undefined, undefined), []);
+    });
+
+    it("should report added, removed and changed values with their path", function() {
+        const changes = diff(
+            { status: 200, body: { items: [{ name: "a" }, { name: "b" }], "x-old": true } },
+            { status: 500, body: { items: [{ name: "A" }], error: "failed" } }
+        );
+        assert.deepStrictEqual(formatDiff(changes), [
+            '+ body.error: "failed"',
+            '~ body.items[0].name: "a" => "A"',
+            '- body.items[1]: {"name":"b"}',
+            '- body["x-old"]: true',
+            '~ status: 200 => 500'
+        ]);
+    });
+
+    it("should compare values of different types as a whole", function() {
+        assert.deepStrictEqual(formatDiff(diff({ a: 1 }, [1])), ['~ (root): {"a":1} => [1]']);
+        assert.deepStrictEqual(formatDiff(diff({ a: undefined }, { a: "1" })), ['~ a: undefined => "1"']);
+    });
+});
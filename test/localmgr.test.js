@@ -0,0 +1,178 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+// tests --local mode activation sources and action definitions, without docker
+
+const LocalMgr = require('../src/localmgr');
+const { Recorder } = require('../src/recorder');
+
+const test = require('./test');
+const assert = require('assert');
+const fs = require('fs-extra');
+const path = require('path');
+const tmp = require('tmp');
+const openwhisk = require('openwhisk');
+
+function writeTempFile(name, content) {
+    tmp.setGracefulCleanup();
+    const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof content === "string" ? content : JSON.stringify(content));
+    return file;
+}
+
+async function allActivations(localMgr) {
+    const activations = [];
+    let params;
+    while ((params = await localMgr.waitForActivations())) {
+        assert.ok(params.$activationId);
+        delete params.$activationId;
+        activations.push(params);
+    }
+    return activations;
+}
+
+describe('localmgr', function() {
+
+    beforeEach(async function() {
+        await test.beforeEach();
+    });
+
+    afterEach(function() {
+        test.restoreStdin();
+        test.afterEach();
+    });
+
+    it("should run --params and then each line from stdin, with default parameters", async function() {
+        const actionFile = writeTempFile("action.json", {
+            exec: { kind: "nodejs:10", code: "const main = () => ({})" },
+            parameters: [{ key: "default", value: "value" }, { key: "input", value: "default" }]
+        });
+        const paramsFile = writeTempFile("params.json", { input: "file" });
+        test.mockStdin([`{"input": "json"}`, "", paramsFile]);
+
+        const localMgr = new LocalMgr({ actionFile, params: `{"input": "params"}` }, undefined, "myaction");
+        const action = await localMgr.peekAction();
+        assert.strictEqual(action.exec.kind, "nodejs:10");
+        assert.strictEqual((await localMgr.readActionWithCode()).exec.code, "const main = () => ({})");
+
+        assert.deepStrictEqual(await allActivations(localMgr), [
+            { default: "value", input: "params" },
+            { default: "value", input: "json" },
+            { default: "value", input: "file" }
+        ]);
+        await localMgr.shutdown();
+    });
+
+    it("should skip invalid parameters", async function() {
+        test.mockStdin(["not-a-file.json", `{"input": "ok"}`]);
+
+        const localMgr = new LocalMgr({ kind: "nodejs:10", sourcePath: writeTempFile("action.js", "code") }, undefined, "myaction");
+        await localMgr.peekAction();
+
+        assert.deepStrictEqual(await allActivations(localMgr), [{ input: "ok" }]);
+        await localMgr.shutdown();
+    });
+
+    it("should replay the recorded activations of the action in order with --replay", async function() {
+        tmp.setGracefulCleanup();
+        const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+        const recorder = new Recorder(dir);
+        await recorder.record({ action: "myaction", activationId: "2", start: 2000, params: { input: "second" } });
+        await recorder.record({ action: "myaction", activationId: "1", start: 1000, params: { input: "first" } });
+        await recorder.record({ action: "other", activationId: "3", start: 3000, params: { input: "other" } });
+        test.mockStdin([]);
+
+        const localMgr = new LocalMgr({ kind: "nodejs:10", sourcePath: writeTempFile("action.js", "code"), replay: dir }, undefined, "myaction");
+        await localMgr.peekAction();
+
+        assert.deepStrictEqual(await allActivations(localMgr), [
+            { input: "first" },
+            { input: "second" }
+        ]);
+        await localMgr.shutdown();
+    });
+
+    it("should only let the user read recordings", async function() {
+        tmp.setGracefulCleanup();
+        const dir = path.join(tmp.dirSync({ unsafeCleanup: true }).name, "recordings");
+        const recorder = new Recorder(dir);
+        await recorder.record({ action: "myaction", activationId: "1", start: 1000, params: { authorization: "secret" } });
+
+        const mode = file => fs.statSync(file).mode & 0o777;
+        assert.strictEqual(mode(dir), 0o700);
+        assert.strictEqual(mode(path.join(dir, fs.readdirSync(dir)[0])), 0o600);
+    });
+
+    it("should fail if there are no recorded activations of the action", async function() {
+        const file = writeTempFile("recording.json", { action: "other", activationId: "1", params: {} });
+        assert.throws(() => new LocalMgr({ replay: file }, undefined, "myaction"), /Found no recorded activations of myaction/);
+
+        const invalid = writeTempFile("invalid.json", { some: "json" });
+        assert.throws(() => new LocalMgr({ replay: invalid }, undefined, "myaction"), /Not a wskdebug recording/);
+    });
+
+    it("should use --kind and a [source-path] file as action", async function() {
+        const sourcePath = writeTempFile("action.js", "const main = () => ({})");
+
+        const localMgr = new LocalMgr({ kind: "nodejs:12", sourcePath, main: "handler" }, undefined, "myaction");
+        const action = await localMgr.peekAction();
+
+        assert.deepStrictEqual(action.exec, {
+            kind: "nodejs:12",
+            main: "handler",
+            code: "const main = () => ({})"
+        });
+    });
+
+    it("should read the action from openwhisk without changing it", async function() {
+        const wsk = openwhisk({ apihost: "https://example.com", api_key: "super-secret-key", namespace: "test" });
+
+        // an agent left over from a killed wskdebug, nock fails on any PUT
+        const agent = test.agentActionDescription("myaction");
+        agent.exec.code = "agent code";
+        const backup = test.nodejsActionDescription("myaction_wskdebug_original");
+        backup.exec.code = "original code";
+        test.openwhiskNock().get(`${test.openwhiskApiUrlActions()}/myaction`).reply(200, agent);
+        test.openwhiskNock().get(`${test.openwhiskApiUrlActions()}/myaction_wskdebug_original`).reply(200, backup);
+
+        const localMgr = new LocalMgr({}, wsk, "myaction");
+        await localMgr.peekAction();
+        await localMgr.installAgent();
+
+        assert.strictEqual((await localMgr.readActionWithCode()).exec.code, "original code");
+        test.assertAllNocksInvoked();
+    });
+
+    it("should require a local action definition without openwhisk credentials", async function() {
+        const localMgr = new LocalMgr({}, undefined, "myaction");
+
+        await assert.rejects(localMgr.peekAction(), /use --action-file or --kind with \[source-path\]/);
+    });
+
+    it("should fail on an action definition without kind", async function() {
+        const actionFile = writeTempFile("action.json", { exec: { code: "code" } });
+
+        const localMgr = new LocalMgr({ actionFile }, undefined, "myaction");
+
+        await assert.rejects(localMgr.peekAction(), /missing exec.kind/);
+    });
+});
@@ -25,7 +25,9 @@ let Debugger = require("../src/debugger");
 const assert = require('assert');
 const nock = require('nock');
 const fetch = require('node-fetch');
+const fs = require('fs-extra');
 const mockRequire = require('mock-require');
+const tmp = require('tmp');
 
 function mockNgrokLibrary(connect, kill) {
     mockRequire("ngrok", {
@@ -157,12 +159,16 @@ describe('ngrok',  function() {
 
         test.mockRestoreAction(actionName, code);
 
-        // wskdebug myaction action.js --ngrok -p ${test.port}
+        tmp.setGracefulCleanup();
+        const recordDir = tmp.dirSync({ unsafeCleanup: true }).name;
+
+        // wskdebug myaction action.js --ngrok --record <dir> -p ${test.port}
         const argv = {
             port: test.port,
             action: actionName,
             sourcePath: "action.js",
-            ngrok: true
+            ngrok: true,
+            record: recordDir
         };
         process.chdir("test/nodejs/plain-flat");
 
@@ -181,7 +187,8 @@ describe('ngrok',  function() {
                     authorization: ngrokAuth
                 },
                 body: JSON.stringify({
-                    $activationId: "1234567890"
+                    $activationId: "1234567890",
+                    input: "ngrok"
                 })
             });
 
@@ -190,6 +197,10 @@ describe('ngrok',  function() {
             const result = await response.json();
             assert.strictEqual(result.msg, "CORRECT");
 
+            // run like activations of other agents, for --record and --repl
+            assert.deepStrictEqual(dbgr.actions[0].lastActivation, { input: "ngrok" });
+            assert.strictEqual(fs.readdirSync(recordDir).length, 1);
+
         } finally {
             await dbgr.stop();
         }
@@ -84,6 +84,311 @@ describe('nodejs', function() {
         test.assertAllNocksInvoked();
     });
 
+    it("should run activations locally with --local without installing an agent", async function() {
+        const code = `function main(params) {
+            return {
+                msg: 'CORRECT',
+                input: params.input
+            }
+        }`;
+        // only reading the action, nock fails on any attempt to install an agent
+        const action = test.nodejsActionDescription("myaction");
+        action.exec.code = code;
+        test.openwhiskNock()
+            .get(`${test.openwhiskApiUrlActions()}/myaction`)
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, action);
+
+        test.mockStdin([`{"input": "first"}`, `{"input": "second"}`]);
+        try {
+            const dbgr = new Debugger({
+                action: "myaction",
+                port: test.port,
+                local: true
+            });
+            await dbgr.start();
+
+            const results = [];
+            dbgr.actions[0].agentMgr.completeActivation = async (id, result) => {
+                results.push(result);
+                return true;
+            };
+            // ends once stdin is done
+            await dbgr.run();
+
+            assert.deepStrictEqual(results, [
+                { msg: "CORRECT", input: "first" },
+                { msg: "CORRECT", input: "second" }
+            ]);
+            test.assertAllNocksInvoked();
+        } finally {
+            test.restoreStdin();
+        }
+    });
+
+    it("should run locally with --local and --action-file without openwhisk", async function() {
+        process.env.WSK_CONFIG_FILE = "does-not-exist";
+
+        const actionFile = `${makeTempDir()}/action.json`;
+        fs.writeFileSync(actionFile, JSON.stringify({
+            exec: {
+                kind: "nodejs:10",
+                code: "function main(params) { return { msg: params.greeting + ' ' + params.input } }"
+            },
+            parameters: [{ key: "greeting", value: "hello" }]
+        }));
+
+        test.mockStdin([]);
+        try {
+            const dbgr = new Debugger({
+                action: "myaction",
+                port: test.port,
+                local: true,
+                actionFile: actionFile,
+                params: `{"input": "world"}`
+            });
+            await dbgr.start();
+
+            const results = [];
+            dbgr.actions[0].agentMgr.completeActivation = async (id, result) => {
+                results.push(result);
+                return true;
+            };
+            await dbgr.run();
+
+            assert.deepStrictEqual(results, [{ msg: "hello world" }]);
+        } finally {
+            test.restoreStdin();
+        }
+    });
+
+    it("should record activations with --record and replay them locally with --replay", async function() {
+        const recordDir = makeTempDir();
+
+        test.mockActionAndInvocation(
+            "myaction",
+            `function main(params) {
+                console.log("input is", params.input);
+                return { msg: "CORRECT", input: params.input };
+            }`,
+            { input: "production" },
+            { msg: "CORRECT", input: "production" }
+        );
+
+        await wskdebug(`myaction --record ${recordDir} -p ${test.port}`);
+        test.assertAllNocksInvoked();
+
+        const files = fs.readdirSync(recordDir);
+        assert.strictEqual(files.length, 1);
+        const recording = JSON.parse(fs.readFileSync(`${recordDir}/${files[0]}`));
+        assert.strictEqual(recording.action, "myaction");
+        assert.ok(recording.activationId);
+        assert.deepStrictEqual(recording.params, { input: "production" });
+        assert.deepStrictEqual(recording.result, { msg: "CORRECT", input: "production" });
+        assert.ok(recording.logs.some(line => line.includes("input is production")));
+
+        // replay, with the action code from the recording session
+        const actionFile = `${makeTempDir()}/action.json`;
+        fs.writeFileSync(actionFile, JSON.stringify({
+            exec: {
+                kind: "nodejs:10",
+                code: "function main(params) { return { replayed: params.input } }"
+            }
+        }));
+        test.mockStdin([]);
+        try {
+            const dbgr = new Debugger({
+                action: "myaction",
+                port: test.port,
+                local: true,
+                actionFile: actionFile,
+                replay: recordDir
+            });
+            await dbgr.start();
+
+            const results = [];
+            dbgr.actions[0].agentMgr.completeActivation = async (id, result) => {
+                results.push(result);
+                return true;
+            };
+            await dbgr.run();
+
+            assert.deepStrictEqual(results, [{ replayed: "production" }]);
+        } finally {
+            test.restoreStdin();
+        }
+    });
+
+    it("should stop capturing logs for --record if the local container fails", async function() {
+        const dbgr = new Debugger({
+            action: "myaction",
+            port: test.port,
+            record: makeTempDir()
+        });
+
+        let captures = 0;
+        const action = {
+            name: "myaction",
+            argv: {},
+            agentMgr: {},
+            concurrency: 1,
+            inFlight: new Map(),
+            invoker: {
+                captureLogs: () => {
+                    captures++;
+                    return () => { captures--; return []; };
+                },
+                runWithStatus: async () => { throw new Error("container gone"); }
+            }
+        };
+
+        await assert.rejects(dbgr.runActivation(action, { $activationId: "1234" }), /container gone/);
+        assert.strictEqual(captures, 0);
+    });
+
+    // second action gets one activation, the graceful exit of the first action ends both
+    function mockSecondActionInvocation(action) {
+        test.nockActivation(action, body => body.$waitForActivation === true)
+            .reply(200, {
+                response: {
+                    result: { $activationId: "second-action-activation", $wskdebugAgent: true }
+                }
+            });
+
+        test.nockActivation(
+            action,
+            body => {
+                if (body.$activationId !== "second-action-activation") {
+                    return false;
+                }
+                assert.deepStrictEqual(body, { msg: "CORRECT2", $activationId: "second-action-activation" });
+                return true;
+            }
+        ).reply(200, {
+            response: {
+                result: {
+                    message: "Completed"
+                }
+            }
+        });
+
+        test.nockActivation(action, body => body.$waitForActivation === true)
+            .optionally()
+            .reply(502, test.agentExitResponse());
+    }
+
+    it("should run multiple actions", async function() {
+        test.mockActionAndInvocation(
+            "action1",
+            `const main = () => ({ msg: 'CORRECT' });`,
+            {},
+            { msg: "CORRECT" }
+        );
+
+        const code2 = `const main = () => ({ msg: 'CORRECT2' });`;
+        test.mockAction("action2", code2);
+        test.expectAgent("action2", code2);
+        mockSecondActionInvocation("action2");
+
+        await wskdebug(`action1,action2 -p ${test.port}`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should restore all actions even if restoring one of them fails", async function() {
+        test.mockActionAndInvocation(
+            "action1",
+            `const main = () => ({ msg: 'CORRECT' });`,
+            {},
+            { msg: "CORRECT" }
+        );
+
+        const code2 = `const main = () => ({ msg: 'CORRECT2' });`;
+        test.mockAction("action2", code2);
+        test.mockCreateBackupAction("action2");
+        test.mockInstallAgent("action2");
+        mockSecondActionInvocation("action2");
+        test.openwhiskNock()
+            .put(
+                `${test.openwhiskApiUrlActions()}/action2?overwrite=true`,
+                body => body.exec && body.exec.code === code2
+            )
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(500, { error: "restore failed" });
+
+        // still restores action1, but fails so that scripts notice
+        await assert.rejects(
+            wskdebug(`action2,action1 -p ${test.port}`),
+            /Could not restore all actions/
+        );
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should run all actions matching a wildcard", async function() {
+        test.openwhiskNock()
+            .get(test.openwhiskApiUrlActions())
+            .query({ limit: 200, skip: 0 })
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, [
+                test.nodejsActionDescription("action1"),
+                test.nodejsActionDescription("action2"),
+                test.nodejsActionDescription("action2_wskdebug_original")
+            ]);
+
+        test.mockActionAndInvocation(
+            "action1",
+            `const main = () => ({ msg: 'CORRECT' });`,
+            {},
+            { msg: "CORRECT" }
+        );
+
+        const code2 = `const main = () => ({ msg: 'CORRECT2' });`;
+        test.mockAction("action2", code2);
+        test.expectAgent("action2", code2);
+        mockSecondActionInvocation("action2");
+
+        await wskdebug(`* -p ${test.port}`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should run activations concurrently up to the concurrency limit of the action", async function() {
+        // action has a concurrency limit of 200
+        const code = `const main = (params) => new Promise(resolve => setTimeout(() => resolve({ msg: params.id }), 500));`;
+        test.mockAction("myaction", code);
+        test.expectAgent("myaction", code);
+
+        const events = [];
+        for (const id of ["first", "second"]) {
+            test.nockActivation("myaction", body => body.$waitForActivation === true)
+                .reply(200, () => {
+                    events.push(`activation ${id}`);
+                    return { response: { result: { id, $activationId: id, $wskdebugAgent: true } } };
+                });
+
+            test.nockActivation("myaction", body => {
+                if (body.$activationId !== id) {
+                    return false;
+                }
+                assert.deepStrictEqual(body, { msg: id, $activationId: id });
+                events.push(`result ${id}`);
+                return true;
+            }).reply(200, { response: { result: { message: "Completed" } } });
+        }
+
+        // graceful exit while the activations are still running
+        test.nockActivation("myaction", body => body.$waitForActivation === true)
+            .reply(502, test.agentExitResponse());
+
+        await wskdebug(`myaction -p ${test.port}`);
+
+        test.assertAllNocksInvoked();
+        // second activation started before the first one completed
+        assert.ok(events.indexOf("activation second") < events.indexOf("result first"), events.join(", "));
+        assert.ok(events.includes("result second"));
+    });
+
     it("should mount local sources with plain js and flat source structure", async function() {
         test.mockActionAndInvocation(
             "myaction",
@@ -282,7 +587,7 @@ describe('nodejs', function() {
         let invokedAction = false;
         let completedAction = false;
 
-        test.nockActivation("myaction")
+        test.nockActivation("myaction", undefined, test.persistentNock())
             .reply(async (uri, body) => {
                 let response = [];
                 // wskdebug polling the agent
@@ -293,7 +598,8 @@ describe('nodejs', function() {
                         response = [ 200, {
                             response: {
                                 result: {
-                                    $activationId: ACTIVATION_ID
+                                    $activationId: ACTIVATION_ID,
+                                    $wskdebugAgent: true
                                 }
                             }
                         }];
@@ -312,8 +618,7 @@ describe('nodejs', function() {
                     response = [200, {}];
                 }
                 return response;
-            })
-            .persist();
+            });
 
         // wskdebug myaction action.js -l -P '{...}' -p ${test.port}
         process.chdir("test/nodejs/plain-flat");
@@ -359,7 +664,7 @@ describe('nodejs', function() {
         let invokedAction = false;
         let completedAction = false;
 
-        test.nockActivation("myaction")
+        test.nockActivation("myaction", undefined, test.persistentNock())
             .reply(async (uri, body) => {
                 let response = [];
                 // wskdebug polling the agent
@@ -370,7 +675,8 @@ describe('nodejs', function() {
                         response = [ 200, {
                             response: {
                                 result: {
-                                    $activationId: ACTIVATION_ID
+                                    $activationId: ACTIVATION_ID,
+                                    $wskdebugAgent: true
                                 }
                             }
                         }];
@@ -393,8 +699,7 @@ describe('nodejs', function() {
                     }
                 }
                 return response;
-            })
-            .persist();
+            });
 
         // wskdebug myaction action.js --on-build "..." --build-path build/action.js -P '{...}' -p ${test.port}
         process.chdir("test/nodejs/build-step");
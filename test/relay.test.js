@@ -0,0 +1,250 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const Debugger = require("../src/debugger");
+const RelayAgent = require("../src/agents/relay");
+const { createRelayServer, SECRET_HEADER } = require("../relay/relay");
+
+const test = require('./test');
+const assert = require('assert');
+const fetch = require('node-fetch');
+const http = require('http');
+
+const SECRET = "relay-secret";
+
+async function startRelay(options) {
+    const server = createRelayServer({ secret: SECRET, ...options });
+    // to close activations still waiting on stop
+    server.sockets = new Set();
+    server.on("connection", socket => server.sockets.add(socket));
+
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    server.url = `http://127.0.0.1:${server.address().port}`;
+    return server;
+}
+
+async function stopRelay(server) {
+    server.sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => server.close(resolve));
+}
+
+function relayHeaders(auth) {
+    return { authorization: auth, [SECRET_HEADER]: SECRET };
+}
+
+// what the agent action does
+function postActivation(relay, auth, params, query="") {
+    return fetch(`${relay.url}/activations${query}`, {
+        method: "POST",
+        headers: relayHeaders(auth),
+        body: JSON.stringify(params)
+    });
+}
+
+describe('relay server', function() {
+    let relay;
+
+    beforeEach(async function() {
+        relay = await startRelay({ pollTimeout: 100 });
+    });
+
+    afterEach(async function() {
+        await stopRelay(relay);
+    });
+
+    it("should pass activations to the poll and results back to the agent", async function() {
+        const agentResponse = postActivation(relay, "token", { $activationId: "1234", input: "test" });
+
+        const poll = await fetch(`${relay.url}/poll`, { headers: relayHeaders("token") });
+        assert.strictEqual(poll.status, 200);
+        assert.deepStrictEqual(await poll.json(), { $activationId: "1234", input: "test" });
+
+        const complete = await fetch(`${relay.url}/results/1234`, {
+            method: "POST",
+            headers: relayHeaders("token"),
+            body: JSON.stringify({ msg: "result" })
+        });
+        assert.strictEqual(complete.status, 200);
+
+        const response = await agentResponse;
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(await response.json(), { msg: "result" });
+    });
+
+    it("should deliver activations to a waiting poll", async function() {
+        const poll = fetch(`${relay.url}/poll`, { headers: relayHeaders("token") });
+        await test.sleep(20);
+
+        // never completed
+        postActivation(relay, "token", { $activationId: "1234" }).catch(() => {});
+
+        assert.deepStrictEqual(await (await poll).json(), { $activationId: "1234" });
+    });
+
+    it("should keep sessions separate and time out polls", async function() {
+        postActivation(relay, "other-token", { $activationId: "1234" }).catch(() => {});
+        await test.sleep(20);
+
+        const poll = await fetch(`${relay.url}/poll`, { headers: relayHeaders("token") });
+        assert.strictEqual(poll.status, 204);
+
+        const complete = await fetch(`${relay.url}/results/1234`, {
+            method: "POST",
+            headers: relayHeaders("token"),
+            body: "{}"
+        });
+        assert.strictEqual(complete.status, 404);
+    });
+
+    it("should respond with a fallback if activations are not picked up in time or too many are waiting", async function() {
+        const waiting = postActivation(relay, "token", { $activationId: "1" }, "?pickupTimeout=0.1&maxQueue=0");
+        await test.sleep(20);
+
+        const full = await postActivation(relay, "token", { $activationId: "2" }, "?pickupTimeout=0.1&maxQueue=0");
+        assert.deepStrictEqual(await full.json(), { $wskdebugFallback: "more than 0 activations waiting for debugger" });
+
+        const timedOut = await waiting;
+        assert.deepStrictEqual(await timedOut.json(), { $wskdebugFallback: "not picked up by debugger within 0.1 seconds" });
+
+        // no longer delivered to wskdebug
+        const poll = await fetch(`${relay.url}/poll`, { headers: relayHeaders("token") });
+        assert.strictEqual(poll.status, 204);
+    });
+
+    it("should respond right away to shadow activations and still deliver them", async function() {
+        const response = await postActivation(relay, "token", { $activationId: "1234", $wskdebugShadow: true }, "?shadow=true");
+        assert.strictEqual(response.status, 202);
+
+        const poll = await fetch(`${relay.url}/poll`, { headers: relayHeaders("token") });
+        assert.deepStrictEqual(await poll.json(), { $activationId: "1234", $wskdebugShadow: true });
+    });
+
+    it("should drop activations of agents that gave up", async function() {
+        const req = http.request(`${relay.url}/activations`, { method: "POST", headers: relayHeaders("token") });
+        req.on("error", () => {});
+        req.end(JSON.stringify({ $activationId: "1234" }));
+        await test.sleep(50);
+        req.destroy();
+        await test.sleep(100);
+
+        const poll = await fetch(`${relay.url}/poll`, { headers: relayHeaders("token") });
+        assert.strictEqual(poll.status, 204);
+    });
+
+    it("should reject requests without authorization", async function() {
+        const poll = await fetch(`${relay.url}/poll`, { headers: { [SECRET_HEADER]: SECRET } });
+        assert.strictEqual(poll.status, 401);
+    });
+
+    it("should reject requests without the shared secret", async function() {
+        for (const headers of [{ authorization: "token" }, { authorization: "token", [SECRET_HEADER]: "wrong" }]) {
+            const poll = await fetch(`${relay.url}/poll`, { headers });
+            assert.strictEqual(poll.status, 401);
+        }
+        assert.throws(() => createRelayServer({}), /requires a shared secret/);
+    });
+});
+
+describe('relay agent', function() {
+    this.timeout(30000);
+
+    let relay;
+
+    before(function() {
+        test.isDockerInstalled();
+    });
+
+    beforeEach(async function() {
+        await test.beforeEach();
+        relay = await startRelay({ pollTimeout: 100 });
+    });
+
+    afterEach(async function() {
+        test.afterEach();
+        await stopRelay(relay);
+    });
+
+    it("should handle action invocation using a relay", async function() {
+        const actionName = "myaction";
+        const code = `const main = () => ({ msg: 'CORRECT' });`;
+
+        test.mockAction(actionName, code);
+
+        // backup and restored action must not get the relay credentials
+        const withoutRelayParams = body => !(body.parameters || []).some(e => e.key.startsWith("$relay"));
+        test.openwhiskNock()
+            .put(`${test.openwhiskApiUrlActions()}/${actionName}_wskdebug_original?overwrite=true`, withoutRelayParams)
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(`${actionName}_wskdebug_original`));
+
+        // relay agent installation, catching the session token
+        let relayAuth;
+        test.openwhiskNock()
+            .put(
+                `${test.openwhiskApiUrlActions()}/${actionName}?overwrite=true`,
+                body => {
+                    relayAuth = body.parameters.find(e => e.key === "$relayAuth").value;
+                    return body.parameters.some(e => e.key === "$relayUrl" && e.value === relay.url)
+                        && body.parameters.some(e => e.key === "$relaySecret" && e.value === SECRET)
+                        && body.annotations.some(v => v.key === "wskdebug-agent" && v.value === "relay");
+                }
+            )
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(actionName));
+
+        test.openwhiskNock()
+            .put(
+                `${test.openwhiskApiUrlActions()}/${actionName}?overwrite=true`,
+                body => body.exec && body.exec.code === code && withoutRelayParams(body)
+            )
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(actionName));
+        test.mockVerifyRestoredAction(actionName, code);
+
+        const dbgr = new Debugger({
+            port: test.port,
+            action: actionName,
+            relayUrl: relay.url + "/",
+            relaySecret: SECRET
+        });
+        await dbgr.start();
+        dbgr.run();
+
+        try {
+            // simulate the agent action posting an activation to the relay
+            const response = await postActivation(relay, relayAuth, { $activationId: "1234567890" });
+
+            assert.strictEqual(response.status, 200);
+            const result = await response.json();
+            assert.strictEqual(result.msg, "CORRECT");
+
+        } finally {
+            await dbgr.stop();
+        }
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should require the shared secret of the relay", function() {
+        const agentMgr = { argv: { relayUrl: relay.url } };
+        assert.throws(() => new RelayAgent(agentMgr), /requires the shared secret of the relay/);
+    });
+});
@@ -0,0 +1,132 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+// tests the --repl prompt using a fake invoker, without docker
+
+const Repl = require('../src/repl');
+
+const test = require('./test');
+const assert = require('assert');
+const fs = require('fs-extra');
+const path = require('path');
+const tmp = require('tmp');
+
+// action as set up by the Debugger, with an invoker recording all runs
+function mockAction(name, parameters=[]) {
+    const runs = [];
+    return {
+        name: name,
+        metadata: { parameters },
+        runs: runs,
+        invoker: {
+            run: async (params, activationId) => {
+                assert.ok(activationId);
+                runs.push(params);
+                return { ok: true };
+            }
+        }
+    };
+}
+
+async function runRepl(actions, lines) {
+    test.mockStdin(lines);
+    const repl = new Repl(actions);
+    repl.start();
+    await repl.finished;
+}
+
+describe('repl', function() {
+
+    beforeEach(async function() {
+        await test.beforeEach();
+    });
+
+    afterEach(function() {
+        test.restoreStdin();
+        test.afterEach();
+    });
+
+    it("should run activations with json parameters and from a file, with default parameters", async function() {
+        tmp.setGracefulCleanup();
+        const paramsFile = path.join(tmp.dirSync({ unsafeCleanup: true }).name, "params.json");
+        fs.writeFileSync(paramsFile, JSON.stringify({ input: "file" }));
+
+        const action = mockAction("myaction", [{ key: "default", value: "value" }]);
+        await runRepl([action], [`{"input": "json"}`, "", paramsFile]);
+
+        assert.deepStrictEqual(action.runs, [
+            { default: "value", input: "json" },
+            { default: "value", input: "file" }
+        ]);
+    });
+
+    it("should run the last forwarded activation again with .last", async function() {
+        const action = mockAction("myaction");
+        // as recorded by the Debugger
+        action.lastActivation = { input: "forwarded" };
+
+        await runRepl([action], [".last", `{"input": "new"}`, ".last"]);
+
+        assert.deepStrictEqual(action.runs, [
+            { input: "forwarded" },
+            { input: "new" },
+            { input: "new" }
+        ]);
+    });
+
+    it("should not run on invalid input or without a previous activation", async function() {
+        const action = mockAction("myaction");
+        await runRepl([action], [".last", "{invalid", "does-not-exist.json", ".unknown", ".help", ".show"]);
+
+        assert.deepStrictEqual(action.runs, []);
+    });
+
+    it("should run the selected action with .use", async function() {
+        const action1 = mockAction("action1");
+        const action2 = mockAction("action2");
+        action2.lastActivation = { input: "forwarded2" };
+
+        await runRepl([action1, action2], [`{"input": "one"}`, ".use action2", ".last", ".use unknown", `{"input": "two"}`]);
+
+        assert.deepStrictEqual(action1.runs, [{ input: "one" }]);
+        assert.deepStrictEqual(action2.runs, [{ input: "forwarded2" }, { input: "two" }]);
+    });
+
+    it("should wait for a running activation when stopped", async function() {
+        let completed = false;
+        let running;
+        const started = new Promise(resolve => { running = resolve; });
+        const action = mockAction("myaction");
+        action.invoker.run = async () => {
+            running();
+            await test.sleep(100);
+            completed = true;
+        };
+
+        test.mockStdin([`{"input": "slow"}`]);
+        const repl = new Repl([action]);
+        repl.start();
+        await started;
+        await repl.stop();
+
+        assert.ok(completed);
+    });
+});
@@ -0,0 +1,222 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+// tests wskdebug restore command
+
+const wskdebug = require('../index');
+const { writeBackup } = require('../src/backups');
+const log = require('../src/log');
+
+const test = require('./test');
+const assert = require('assert');
+const fs = require('fs-extra');
+
+describe('wskdebug restore', function() {
+
+    beforeEach(async function() {
+        await test.beforeEach();
+    });
+
+    afterEach(function() {
+        test.afterEach();
+    });
+
+    it("should restore the original action from the backup", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'ORIGINAL' });`;
+
+        test.mockGetAction(action, test.agentActionDescription(action));
+        test.mockGetAction(`${action}_wskdebug_original`, test.nodejsActionDescription(`${action}_wskdebug_original`), code);
+        test.mockRestoreAction(action, code);
+
+        await wskdebug(`restore ${action}`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should remove backup and helper actions if --cleanup is set", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'ORIGINAL' });`;
+
+        test.mockGetAction(action, test.agentActionDescription(action));
+        test.mockGetAction(`${action}_wskdebug_original`, test.nodejsActionDescription(`${action}_wskdebug_original`), code);
+        test.mockRestoreAction(action, code);
+
+        test.mockRemoveBackupAction(action);
+        test.mockGetAction(`${action}_wskdebug_invoked`, {});
+        test.openwhiskNock()
+            .delete(`${test.openwhiskApiUrlActions()}/${action}_wskdebug_invoked`)
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, {});
+        test.mockActionNotFound(`${action}_wskdebug_completed`);
+
+        await wskdebug(`restore ${action} --cleanup`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should not touch the action if no agent is installed", async function() {
+        const action = "myaction";
+
+        // no PUT mocked, nock fails any update
+        test.mockGetAction(action, test.nodejsActionDescription(action));
+
+        await wskdebug(`restore ${action}`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should refuse to restore an agent of another session unless --force is set", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'ORIGINAL' });`;
+
+        const agentDescription = test.agentActionDescription(action);
+        agentDescription.annotations.push(
+            { key: "wskdebug-started", value: Date.now() },
+            { key: "wskdebug-owner", value: { user: "alice", hostname: "other-host", pid: 1 } }
+        );
+
+        // no PUT mocked, nock fails any update
+        test.mockGetAction(action, agentDescription);
+        await assert.rejects(
+            wskdebug(`restore ${action}`),
+            /Action myaction is being debugged by alice@other-host \(pid 1\) since .*Use --force to restore it anyway/
+        );
+        test.assertAllNocksInvoked();
+
+        test.mockGetAction(action, agentDescription);
+        test.mockGetAction(`${action}_wskdebug_original`, test.nodejsActionDescription(`${action}_wskdebug_original`), code);
+        test.mockRestoreAction(action, code);
+        await wskdebug(`restore ${action} --force`);
+        test.assertAllNocksInvoked();
+    });
+
+    it("should fail if the backup is missing", async function() {
+        const action = "myaction";
+
+        test.mockGetAction(action, test.agentActionDescription(action));
+        test.mockActionNotFound(`${action}_wskdebug_original`);
+
+        await assert.rejects(
+            wskdebug(`restore ${action}`),
+            /action backup is missing/
+        );
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should retry if the restored action does not match the original", async function() {
+        this.timeout(5000);
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'ORIGINAL' });`;
+
+        test.mockGetAction(action, test.agentActionDescription(action));
+        test.mockGetAction(`${action}_wskdebug_original`, test.nodejsActionDescription(`${action}_wskdebug_original`), code);
+        test.openwhiskNock()
+            .put(`${test.openwhiskApiUrlActions()}/${action}?overwrite=true`, body => body.exec.code === code)
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(action));
+        test.mockVerifyRestoredAction(action, "stale");
+        test.mockRestoreAction(action, code);
+
+        await wskdebug(`restore ${action}`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should exit with the differences if the restored action does not match the original after retries", async function() {
+        this.timeout(10000);
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'ORIGINAL' });`;
+
+        test.mockGetAction(action, test.agentActionDescription(action));
+        test.mockGetAction(`${action}_wskdebug_original`, test.nodejsActionDescription(`${action}_wskdebug_original`), code);
+        test.openwhiskNock()
+            .put(`${test.openwhiskApiUrlActions()}/${action}?overwrite=true`, body => body.exec.code === code)
+            .times(3)
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, test.nodejsActionDescription(action));
+        test.openwhiskNock()
+            .get(`${test.openwhiskApiUrlActions()}/${action}`)
+            .times(3)
+            .matchHeader("authorization", test.openwhiskApiAuthHeader())
+            .reply(200, { ...test.nodejsActionDescription(action), exec: { kind: "nodejs:10", code: code, main: "other" } });
+
+        // as on the command line
+        const exit = process.exit;
+        const exception = log.exception;
+        let exitCode, error;
+        process.exit = code => { exitCode = code; };
+        log.exception = e => { error = e; };
+        try {
+            await wskdebug(`restore ${action}`, true);
+        } finally {
+            process.exit = exit;
+            log.exception = exception;
+        }
+
+        test.assertAllNocksInvoked();
+        assert.strictEqual(exitCode, 1);
+        assert.ok(/^Could not restore action myaction: .* \(original => current\):\n {2}~ exec\.main: undefined => "other"$/.test(error.message), error.message);
+    });
+
+    it("should restore from the local backup if the backup action is gone", async function() {
+        const action = "myaction";
+        const code = `const main = () => ({ msg: 'ORIGINAL' });`;
+
+        await writeBackup("example.com", "test", action, { ...test.nodejsActionDescription(action), exec: { kind: "nodejs:10", code } });
+        test.mockGetAction(action, test.agentActionDescription(action));
+        test.mockActionNotFound(`${action}_wskdebug_original`);
+        test.mockRestoreAction(action, code);
+
+        await wskdebug(`restore ${action}`);
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should not restore from a local backup with a wrong checksum", async function() {
+        const action = "myaction";
+
+        const file = await writeBackup("example.com", "test", action, { ...test.nodejsActionDescription(action), exec: { kind: "nodejs:10", code: "original" } });
+        const backup = fs.readJsonSync(file);
+        backup.action.exec.code = "changed";
+        fs.writeJsonSync(file, backup);
+
+        test.mockGetAction(action, test.agentActionDescription(action));
+        test.mockActionNotFound(`${action}_wskdebug_original`);
+
+        await assert.rejects(
+            wskdebug(`restore ${action}`),
+            /action backup is missing/
+        );
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should fail if the action does not exist", async function() {
+        test.mockActionNotFound("myaction");
+
+        await assert.rejects(
+            wskdebug(`restore myaction`),
+            /Action not found: myaction/
+        );
+    });
+});
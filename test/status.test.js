@@ -0,0 +1,104 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+// tests wskdebug status command
+
+const wskdebug = require('../index');
+const OpenWhiskInvoker = require('../src/invoker');
+
+const test = require('./test');
+const assert = require('assert');
+const stripAnsi = require('strip-ansi');
+
+describe('wskdebug status', function() {
+
+    beforeEach(async function() {
+        await test.beforeEach();
+        this.listDebugContainers = OpenWhiskInvoker.listDebugContainers;
+    });
+
+    afterEach(function() {
+        OpenWhiskInvoker.listDebugContainers = this.listDebugContainers;
+        test.endCaptureStdout();
+        test.afterEach();
+    });
+
+    it("should list installed agents and local debug containers", async function() {
+        const started = Date.now() - 5 * 60 * 1000;
+        test.mockActionList([
+            test.actionListEntry("myaction", [
+                { key: "wskdebug", value: true },
+                { key: "wskdebug-agent", value: "concurrency" },
+                { key: "wskdebug-started", value: started },
+                { key: "wskdebug-owner", value: { user: "alice", hostname: "host", pid: 1234 } }
+            ]),
+            test.actionListEntry("myaction_wskdebug_original"),
+            test.actionListEntry("other")
+        ]);
+
+        OpenWhiskInvoker.listDebugContainers = async () => [{
+            id: "0123456789abcdef",
+            name: "wskdebug-myaction-1234",
+            action: "/test/myaction",
+            image: "openwhisk/action-nodejs-v10:latest",
+            debugPorts: [9229],
+            created: started
+        }];
+
+        test.startCaptureStdout();
+        await wskdebug(`status`);
+        const stdout = stripAnsi(test.endCaptureStdout().stdout);
+
+        assert(stdout.includes("- myaction"));
+        assert(stdout.includes("Agent: concurrency"));
+        assert(stdout.includes("Owner: alice@host (pid 1234)"));
+        assert(stdout.includes("(5m ago)"));
+        assert(!stdout.includes("- myaction_wskdebug_original"));
+        assert(!stdout.includes("- other"));
+
+        assert(stdout.includes("- /test/myaction"));
+        assert(stdout.includes("Debug port: 9229"));
+        assert(stdout.includes("Image:      openwhisk/action-nodejs-v10:latest"));
+        assert(stdout.includes("Container:  wskdebug-myaction-1234 (id: 0123456789ab)"));
+
+        test.assertAllNocksInvoked();
+    });
+
+    it("should show agents installed by older versions without type", async function() {
+        test.mockActionList([
+            test.actionListEntry("myaction", [
+                { key: "description", value: "wskdebug agent. temporarily installed over original action." }
+            ])
+        ]);
+        OpenWhiskInvoker.listDebugContainers = async () => [];
+
+        test.startCaptureStdout();
+        await wskdebug(`status`);
+        const stdout = stripAnsi(test.endCaptureStdout().stdout);
+
+        assert(stdout.includes("- myaction"));
+        assert(stdout.includes("Agent: unknown"));
+        assert(stdout.includes("Owner: unknown"));
+        assert(stdout.includes("Since: unknown"));
+
+        test.assertAllNocksInvoked();
+    });
+});
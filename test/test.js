@@ -23,6 +23,8 @@ const fs = require('fs');
 const { execSync } = require('child_process');
 const path = require('path');
 const getPort = require('get-port');
+const tmp = require('tmp');
+const { PassThrough } = require('stream');
 
 const FAKE_OPENWHISK_SERVER = "https://example.com";
 const FAKE_OPENWHISK_AUTH = "c3VwZXItc2VjcmV0LWtleQ==";
@@ -46,6 +48,10 @@ async function beforeEach() {
     delete process.env.OW_APIHOST;
     process.env.WSK_CONFIG_FILE = path.join(process.cwd(), "test/wskprops");
 
+    // local backups
+    this.stateDir = tmp.dirSync({ unsafeCleanup: true });
+    process.env.WSKDEBUG_STATE_DIR = this.stateDir.name;
+
     openwhisk = nock(FAKE_OPENWHISK_SERVER);
     mockOpenwhiskSwagger(openwhisk);
 
@@ -60,6 +66,10 @@ async function beforeEach() {
 function afterEach() {
     delete process.env.WSK_CONFIG_FILE;
     delete process.env.DOCKER_HOST_IP;
+    delete process.env.WSKDEBUG_STATE_DIR;
+    if (this.stateDir) {
+        this.stateDir.removeCallback();
+    }
     nock.cleanAll();
 
     // restore working dir from beforeEach()
@@ -177,6 +187,19 @@ function mockRestoreAction(name, code, binary=false) {
         )
         .matchHeader("authorization", openwhiskApiAuthHeader())
         .reply(200, nodejsActionDescription(name, binary));
+
+    mockVerifyRestoredAction(name, code, binary);
+}
+
+// reading the action after restoring it
+function mockVerifyRestoredAction(name, code, binary=false) {
+    const action = nodejsActionDescription(name, binary);
+    action.exec.code = code;
+
+    openwhisk
+        .get(`${openwhiskApiUrlActions()}/${name}`)
+        .matchHeader("authorization", openwhiskApiAuthHeader())
+        .reply(200, action);
 }
 
 function mockRemoveBackupAction(name) {
@@ -189,6 +212,31 @@ function mockRemoveBackupAction(name) {
         .reply(200);
 }
 
+// reading any action description, optionally also with code
+function mockGetAction(name, description, code) {
+    openwhisk
+        .get(`${openwhiskApiUrlActions()}/${name}`)
+        .matchHeader("authorization", openwhiskApiAuthHeader())
+        .query({"code":"false"})
+        .reply(200, description);
+
+    if (code) {
+        const withCode = { ...description, exec: { ...description.exec, code } };
+        openwhisk
+            .get(`${openwhiskApiUrlActions()}/${name}`)
+            .matchHeader("authorization", openwhiskApiAuthHeader())
+            .reply(200, withCode);
+    }
+}
+
+function mockActionNotFound(name) {
+    openwhisk
+        .get(`${openwhiskApiUrlActions()}/${name}`)
+        .matchHeader("authorization", openwhiskApiAuthHeader())
+        .query({"code":"false"})
+        .reply(404, { error: "The requested resource does not exist." });
+}
+
 function expectAgent(name, code, binary=false) {
     mockCreateBackupAction(name, binary);
     mockInstallAgent(name);
@@ -197,18 +245,23 @@ function expectAgent(name, code, binary=false) {
     mockRestoreAction(name, code, binary);
 }
 
-function nockActivation(name, bodyFn) {
-    return openwhisk
+function nockActivation(name, bodyFn, scope=openwhisk) {
+    return scope
         .post(`${openwhiskApiUrlActions()}/${name}`, bodyFn)
         .query(true) // support both ?blocking=true and non blocking (no query params)
         .matchHeader("authorization", openwhiskApiAuthHeader());
 }
 
+// persist() applies to all mocks of a scope, hence persisted mocks need their own,
+// otherwise earlier mocks such as reading the action answer any later request as well
+function persistentNock() {
+    return nock(FAKE_OPENWHISK_SERVER).persist();
+}
+
 function mockAgentPoll(name) {
-    return nockActivation(name, body => body.$waitForActivation === true)
+    return nockActivation(name, body => body.$waitForActivation === true, persistentNock())
         .optionally()
-        .reply(502, agentRetryResponse())
-        .persist();
+        .reply(502, agentRetryResponse());
 }
 
 function expectAgentInvocation(name, params, result) {
@@ -221,14 +274,18 @@ function expectAgentInvocation(name, params, result) {
     nockActivation(name, body => body.$waitForActivation === true)
         .reply(200, {
             response: {
-                result: Object.assign(params, { $activationId: activationId })
+                result: Object.assign(params, { $activationId: activationId, $wskdebugAgent: true })
             }
         });
 
     // wskdebug sending result back to agent
+    // (with concurrency, polls for the next activation can come in before)
     nockActivation(
         name,
         body => {
+            if (body.$activationId !== result.$activationId) {
+                return false;
+            }
             assert.deepStrictEqual(body, result);
             return true;
         }
@@ -274,7 +331,7 @@ function mockActionDoubleInvocation(action, code, params, result1, runBetween, r
     nockActivation(action, body => body.$waitForActivation === true)
         .reply(200, {
             response: {
-                result: Object.assign(params, { $activationId: activationId })
+                result: Object.assign(params, { $activationId: activationId, $wskdebugAgent: true })
             }
         });
 
@@ -282,6 +339,9 @@ function mockActionDoubleInvocation(action, code, params, result1, runBetween, r
     nockActivation(
         action,
         body => {
+            if (body.$activationId !== result1.$activationId) {
+                return false;
+            }
             console.log("[test] mockActionDoubleInvocation: asserting result1")
             assert.deepStrictEqual(body, result1);
             return true;
@@ -303,7 +363,7 @@ function mockActionDoubleInvocation(action, code, params, result1, runBetween, r
             await runBetween();
             return {
                 response: {
-                    result: Object.assign(params, { $activationId: activationId2 })
+                    result: Object.assign(params, { $activationId: activationId2, $wskdebugAgent: true })
                 }
             }
         });
@@ -312,6 +372,9 @@ function mockActionDoubleInvocation(action, code, params, result1, runBetween, r
     nockActivation(
         action,
         body => {
+            if (body.$activationId !== result2.$activationId) {
+                return false;
+            }
             console.log("[test] mockActionDoubleInvocation: asserting result2")
             assert.deepStrictEqual(body, result2);
             return true;
@@ -365,10 +428,43 @@ function nodejsActionDescription(name, binary=false) {
     };
 }
 
+// entry of an action list response
+function actionListEntry(name, annotations=[]) {
+    return {
+        name: name,
+        namespace: FAKE_OPENWHISK_NAMESPACE,
+        annotations: [
+            { key: "exec", value: "nodejs:10" },
+            ...annotations
+        ],
+        exec: { binary: false },
+        version: "0.0.1"
+    };
+}
+
+function mockActionList(list) {
+    openwhisk
+        .get(openwhiskApiUrlActions())
+        .query({ limit: 200, skip: 0 })
+        .matchHeader("authorization", openwhiskApiAuthHeader())
+        .reply(200, list);
+}
+
+// action description of an installed agent
+function agentActionDescription(name) {
+    const action = nodejsActionDescription(name);
+    action.annotations.push({ key: "wskdebug", value: true });
+    return action;
+}
+
 function mockOpenwhiskSwagger(openwhisk) {
+    // system info and api version are requested once per debugged action
+    const MAX_ACTIONS = 10;
+
     // mock swagger api response
     openwhisk
         .get('/')
+        .times(MAX_ACTIONS)
         .optionally()
         .matchHeader("accept", "application/json")
         .matchHeader("authorization", openwhiskApiAuthHeader())
@@ -435,6 +531,7 @@ function mockOpenwhiskSwagger(openwhisk) {
 
     openwhisk
         .get('/api/v1')
+        .times(MAX_ACTIONS)
         .optionally()
         .matchHeader("accept", "application/json")
         .matchHeader("authorization", openwhiskApiAuthHeader())
@@ -458,6 +555,16 @@ function mockOpenwhiskSwagger(openwhisk) {
         .reply(200, JSON.parse(fs.readFileSync("./test/openwhisk-swagger.json")));
 }
 
+// replaces the system info at / from mockOpenwhiskSwagger(), e.g. without limits
+function mockSystemInfo(status, body) {
+    nock.removeInterceptor({ proto: "https", hostname: "example.com", port: 443, method: "GET", path: "/" });
+    openwhisk
+        .get('/')
+        .matchHeader("accept", "application/json")
+        .matchHeader("authorization", openwhiskApiAuthHeader())
+        .reply(status, body);
+}
+
 // --------------------------------------------< utils >---------------
 
 let capture;
@@ -500,6 +607,19 @@ function endCaptureStdout() {
     }
 }
 
+const originalStdin = Object.getOwnPropertyDescriptor(process, "stdin");
+
+// replace stdin with a stream of the given lines, which is not a TTY
+function mockStdin(lines) {
+    const stdin = new PassThrough();
+    Object.defineProperty(process, "stdin", { value: stdin, configurable: true, writable: true });
+    stdin.end(lines.map(line => line + "\n").join(""));
+}
+
+function restoreStdin() {
+    Object.defineProperty(process, "stdin", originalStdin);
+}
+
 async function sleep(millis) {
     return new Promise(resolve => setTimeout(resolve, millis));
 }
@@ -539,17 +659,27 @@ module.exports = {
     mockInstallAgent,
     mockReadBackupAction,
     mockRestoreAction,
+    mockVerifyRestoredAction,
     mockRemoveBackupAction,
+    mockGetAction,
+    mockActionNotFound,
     nodejsActionDescription,
+    agentActionDescription,
+    actionListEntry,
+    mockActionList,
     expectAgent,
     nockActivation,
     expectAgentInvocation,
     mockAgentPoll,
+    persistentNock,
+    mockSystemInfo,
     agentRetryResponse,
     agentExitResponse,
     // utils
     startCaptureStdout,
     endCaptureStdout,
+    mockStdin,
+    restoreStdin,
     sleep,
     touchFile,
     hasNotTimedOut
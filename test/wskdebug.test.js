@@ -29,6 +29,9 @@ const test = require('./test');
 const assert = require('assert');
 const stripAnsi = require('strip-ansi');
 const {execSync} = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const tmp = require('tmp');
 
 const mockRequire = require('mock-require');
 
@@ -49,8 +52,27 @@ function mockDebugger() {
     return receivedArgv;
 }
 
+// creates a project dir with the given config file and changes into a sub directory
+function chdirToProject(configFile, content) {
+    tmp.setGracefulCleanup();
+    const dir = fs.realpathSync(tmp.dirSync({ unsafeCleanup: true }).name);
+    fs.writeFileSync(path.join(dir, configFile), content);
+    fs.mkdirsSync(path.join(dir, "src"));
+    process.chdir(path.join(dir, "src"));
+    return dir;
+}
+
 describe('wskdebug cli', function() {
 
+    beforeEach(function() {
+        this.cwd = process.cwd();
+    });
+
+    afterEach(function() {
+        process.chdir(this.cwd);
+        delete process.env.WSK_PACKAGE;
+    });
+
     after(function() {
         // stop mock otherwise bad effect on other tests
         mockRequire.stop("../src/debugger");
@@ -99,6 +121,32 @@ describe('wskdebug cli', function() {
         assert.strictEqual(argv.action, "package/action");
     });
 
+    it("should take an action named like a command after --", async function() {
+        const argv = mockDebugger();
+
+        await wskdebug(`-- status src/status.js`);
+        assert.strictEqual(argv.action, "status");
+        assert.strictEqual(argv.sourcePath, "src/status.js");
+
+        await wskdebug(`--port 9230 -- restore`);
+        assert.strictEqual(argv.action, "restore");
+        assert.strictEqual(argv.port, 9230);
+    });
+
+    it("should not take the action argument as value of --compare", async function() {
+        const argv = mockDebugger();
+
+        await wskdebug(`--compare action`);
+        assert.strictEqual(argv.action, "action");
+        assert.strictEqual(argv.compare, true);
+
+        await wskdebug(`action --compare --compare-result original`);
+        assert.strictEqual(argv.action, "action");
+        assert.strictEqual(argv.compareResult, "original");
+
+        await assert.rejects(wskdebug(`action --compare --compare-result other`), /Invalid values/);
+    });
+
     it("should use WSK_PACKAGE env var as package name", async function() {
         const argv = mockDebugger();
 
@@ -111,6 +159,17 @@ describe('wskdebug cli', function() {
         assert.strictEqual(argv.action, "package/action");
     });
 
+    it("should take multiple comma separated actions", async function() {
+        const argv = mockDebugger();
+
+        await wskdebug(`login,package/profile,search`);
+        assert.deepStrictEqual(argv.action, ["login", "package/profile", "search"]);
+
+        process.env.WSK_PACKAGE = "envPackage";
+        await wskdebug(`login,package/profile`);
+        assert.deepStrictEqual(argv.action, ["envPackage/login", "package/profile"]);
+    });
+
     it("should parse docker args", function() {
         const args = " -e foo=bar -v /some/path:/mount/path -v /another:/path";
 
@@ -132,4 +191,108 @@ describe('wskdebug cli', function() {
         assert.strictEqual(containerConfig.HostConfig.Binds[0], "/some/path:/mount/path");
         assert.strictEqual(containerConfig.HostConfig.Binds[1], "/another:/path");
     })
+
+    it("should read profile from .wskdebug.json in parent directory", async function() {
+        const argv = mockDebugger();
+        const dir = chdirToProject(".wskdebug.json", JSON.stringify({
+            profiles: {
+                "api-login": {
+                    action: "api/login",
+                    sourcePath: "src/login.js",
+                    main: "login",
+                    condition: "debug === 'true'",
+                    watch: ["src", "lib"],
+                    "on-build": "npm run build",
+                    onChange: "curl localhost",
+                    dockerArgs: " -e foo=bar"
+                }
+            }
+        }));
+
+        await wskdebug(`--profile api-login`);
+        assert.strictEqual(argv.action, "api/login");
+        assert.strictEqual(argv.sourcePath, path.join(dir, "src/login.js"));
+        assert.strictEqual(argv.main, "login");
+        assert.strictEqual(argv.condition, "debug === 'true'");
+        assert.deepStrictEqual(argv.watch, [path.join(dir, "src"), path.join(dir, "lib")]);
+        assert.strictEqual(argv.onBuild, "npm run build");
+        assert.strictEqual(argv.onChange, "curl localhost");
+        assert.strictEqual(argv.dockerArgs, " -e foo=bar");
+    });
+
+    it("should read profile from wskdebug.config.js", async function() {
+        const argv = mockDebugger();
+        chdirToProject("wskdebug.config.js", `
+            module.exports = {
+                profiles: {
+                    search: {
+                        action: "api/search",
+                        kind: "nodejs:12",
+                        image: "custom/image",
+                        port: 9999
+                    }
+                }
+            };
+        `);
+
+        await wskdebug(`--profile search`);
+        assert.strictEqual(argv.action, "api/search");
+        assert.strictEqual(argv.kind, "nodejs:12");
+        assert.strictEqual(argv.image, "custom/image");
+        assert.strictEqual(argv.port, 9999);
+    });
+
+    it("should let arguments override profile", async function() {
+        const argv = mockDebugger();
+        chdirToProject(".wskdebug.json", JSON.stringify({
+            profiles: {
+                "api-login": {
+                    action: "api/login",
+                    condition: "debug === 'true'",
+                    port: 9999
+                }
+            }
+        }));
+
+        await wskdebug(`other/action --profile api-login -c true -p 1234`);
+        assert.strictEqual(argv.action, "other/action");
+        assert.strictEqual(argv.condition, "true");
+        assert.strictEqual(argv.port, 1234);
+    });
+
+    it("should read multiple actions from profile", async function() {
+        const argv = mockDebugger();
+        const dir = chdirToProject(".wskdebug.json", JSON.stringify({
+            profiles: {
+                feature: {
+                    action: [
+                        "api/login",
+                        { action: "api/profile", "source-path": "src/profile.js", port: 9300 }
+                    ]
+                }
+            }
+        }));
+
+        await wskdebug(`--profile feature`);
+        assert.deepStrictEqual(argv.action, [
+            "api/login",
+            { action: "api/profile", sourcePath: path.join(dir, "src/profile.js"), port: 9300 }
+        ]);
+    });
+
+    it("should fail if profile does not exist", async function() {
+        mockDebugger();
+        chdirToProject(".wskdebug.json", JSON.stringify({
+            profiles: {
+                "api-login": {
+                    action: "api/login"
+                }
+            }
+        }));
+
+        await assert.rejects(
+            wskdebug(`--profile unknown`),
+            /Profile 'unknown' not found in .*\.wskdebug\.json\. Available profiles: api-login/
+        );
+    });
 });